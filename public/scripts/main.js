@@ -5,6 +5,7 @@ class PairDrop {
         this.$headerEditPairedDevicesBtn = $('edit-paired-devices');
         this.$footerPairedDevicesBadge = $$('.discovery-wrapper .badge-room-secret');
         this.$headerInstallBtn = $('install');
+        this.$headerAutoSaveBtn = $('auto-save');
 
         this.deferredStyles = [
             "styles/styles-deferred.css"
@@ -98,6 +99,11 @@ class PairDrop {
             this.$headerNotificationBtn.removeAttribute('hidden');
         }
 
+        // Auto-saving received files needs access to the file system
+        if (window.showDirectoryPicker) {
+            this.$headerAutoSaveBtn.removeAttribute('hidden');
+        }
+
         let roomSecrets = await PersistentStorage.getAllRoomSecrets();
         if (roomSecrets.length > 0) {
             this.$headerEditPairedDevicesBtn.removeAttribute('hidden');
@@ -174,6 +180,9 @@ class PairDrop {
         this.receiveTextDialog = new ReceiveTextDialog();
         this.pairDeviceDialog = new PairDeviceDialog();
         this.clearDevicesDialog = new EditPairedDevicesDialog();
+        this.transferHistoryDialog = new TransferHistoryDialog();
+        this.autoSaveDialog = new AutoSaveDialog();
+        this.peerDiagnosticsDialog = new PeerDiagnosticsDialog();
         this.publicRoomDialog = new PublicRoomDialog();
         this.base64Dialog = new Base64Dialog();
         this.shareTextDialog = new ShareTextDialog();
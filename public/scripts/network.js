@@ -201,17 +201,24 @@ class ServerConnection {
             case 'printer-updated':
                 Events.fire('printer-updated', { printer: msg.printer });
                 break;
+            case 'hello':
             case 'request':
             case 'header':
             case 'partition':
             case 'partition-received':
+            case 'file-end':
             case 'progress':
             case 'files-transfer-response':
+            case 'files-transfer-queued':
             case 'file-transfer-complete':
             case 'message-transfer-complete':
             case 'text':
             case 'display-name-changed':
+            case 'transfer-resume':
+            case 'transfer-resume-response':
+            case 'transfer-cancel':
             case 'ws-chunk':
+            case 'ws-encrypted':
                 // ws-fallback
                 if (this._wsConfig.wsFallback) {
                     Events.fire('ws-relay', JSON.stringify(msg));
@@ -289,6 +296,10 @@ class ServerConnection {
                 console.log("successfully removed peerId from localStorage");
             });
 
+        this._closeSocket();
+    }
+
+    _closeSocket() {
         if (!this._socket) return;
 
         this._socket.onclose = null;
@@ -329,7 +340,9 @@ class ServerConnection {
     }
 
     _reconnect() {
-        this._disconnect();
+        // Do not send 'disconnect' so that other devices keep their peer to peer connections to this device.
+        // They are restored via ICE restarts as soon as this device has rejoined its rooms.
+        this._closeSocket();
         this._connect();
     }
 }
@@ -345,12 +358,50 @@ class Peer {
         this._updateRoomIds(roomType, roomId);
 
         this._filesQueue = [];
+        this._filesSent = [];
+        this._filesRequests = [];
+        this._requestsQueue = [];
+        this._lastRequestId = 0;
         this._busy = false;
+        this._connectionStateHistory = [];
+
+        // peers that do not send 'hello' use protocol version 1 without optional features
+        this._remoteProtocolVersion = 1;
+        this._remoteCapabilities = new Set();
+
+        this._autoAcceptRules = [];
 
         // evaluate auto accept
         this._evaluateAutoAccept();
     }
 
+    static get protocolVersion() {
+        return 2;
+    }
+
+    // Optional features of this client. They are only used if the other peer supports them as well.
+    static get capabilities() {
+        const capabilities = ['resume', 'hashing', 'cancel', 'queue', 'file-selection', 'folders'];
+        if (Peer._isCompressionSupported()) capabilities.push('compression');
+        return capabilities;
+    }
+
+    static _isCompressionSupported() {
+        try {
+            new CompressionStream('deflate-raw');
+            new DecompressionStream('deflate-raw');
+            return true;
+        }
+        catch (e) {
+            return false;
+        }
+    }
+
+    // The beginning of a file is compressed first to estimate whether compression pays off
+    static get compressionSampleSize() {
+        return 1024 * 1024; // 1 MB
+    }
+
     sendJSON(message) {
         this._send(JSON.stringify(message));
     }
@@ -358,10 +409,30 @@ class Peer {
     // Is overwritten in expanding classes
     _send(message) { }
 
+    // Is overwritten in expanding classes
+    _getChunkSize() {
+        return 64000; // 64 KB
+    }
+
     sendDisplayName(displayName) {
         this.sendJSON({ type: 'display-name-changed', displayName: displayName });
     }
 
+    _sendHello() {
+        this.sendJSON({ type: 'hello', version: Peer.protocolVersion, capabilities: Peer.capabilities });
+    }
+
+    _onHello(message) {
+        this._remoteProtocolVersion = message.version;
+        this._remoteCapabilities = new Set(Array.isArray(message.capabilities) ? message.capabilities : []);
+
+        if (this._supports('resume')) this._resumeInterruptedTransfer();
+    }
+
+    _supports(capability) {
+        return Peer.capabilities.includes(capability) && this._remoteCapabilities.has(capability);
+    }
+
     _isSameBrowser() {
         return BrowserTabsConnector.peerIsSameBrowser(this._peerId);
     }
@@ -426,6 +497,7 @@ class Peer {
     _evaluateAutoAccept() {
         if (!this._isPaired()) {
             this._setAutoAccept(false);
+            this._setAutoAcceptRules([]);
             return;
         }
 
@@ -435,10 +507,15 @@ class Peer {
                 const autoAccept = roomSecretEntry
                     ? roomSecretEntry.entry.auto_accept
                     : false;
+                const autoAcceptRules = roomSecretEntry && roomSecretEntry.entry.auto_accept_rules
+                    ? roomSecretEntry.entry.auto_accept_rules
+                    : [];
                 this._setAutoAccept(autoAccept);
+                this._setAutoAcceptRules(autoAcceptRules);
             })
             .catch(_ => {
                 this._setAutoAccept(false);
+                this._setAutoAcceptRules([]);
             });
     }
 
@@ -448,17 +525,76 @@ class Peer {
             : false;
     }
 
+    _setAutoAcceptRules(autoAcceptRules) {
+        this._autoAcceptRules = !this._isSameBrowser()
+            ? autoAcceptRules
+            : [];
+    }
+
+    // Returns 'accept', 'ask' or 'decline' if a rule of the paired device matches the request, otherwise null
+    _evaluateAutoAcceptRules(request) {
+        // declining and asking take precedence over accepting regardless of the order of the rules
+        const actions = ['decline', 'ask', 'accept'];
+
+        for (let i = 0; i < actions.length; i++) {
+            const matches = this._autoAcceptRules
+                .filter(rule => rule.action === actions[i])
+                .some(rule => Peer._requestMatchesRule(request, rule));
+
+            if (matches) return actions[i];
+        }
+
+        return null;
+    }
+
+    static _requestMatchesRule(request, rule) {
+        // the declared totalSize is not trusted as it might not match the sizes of the files
+        const totalSize = request.header.reduce((totalSize, file) => totalSize + file.size, 0);
+
+        if (rule.size_condition === 'below' && !(totalSize < rule.size)) return false;
+        if (rule.size_condition === 'above' && !(totalSize > rule.size)) return false;
+
+        const fileMatches = file => Peer._fileMatchesType(file, rule.file_type);
+
+        // requests are only accepted if all files match but a single matching file is enough to ask or decline
+        return rule.action === 'accept'
+            ? request.header.every(fileMatches)
+            : request.header.some(fileMatches);
+    }
+
+    static _fileMatchesType(file, fileType) {
+        const fileMime = file.mime || "";
+
+        switch (fileType) {
+            case 'images':
+                return fileMime.startsWith('image/');
+            case 'videos':
+                return fileMime.startsWith('video/');
+            case 'audio':
+                return fileMime.startsWith('audio/');
+            case 'executables':
+                return mime.isExecutable(fileMime, file.name);
+            default:
+                return true;
+        }
+    }
+
     async requestFileTransfer(files) {
         let header = [];
         let totalSize = 0;
         let imagesOnly = true
         for (let i = 0; i < files.length; i++) {
             Events.fire('set-progress', { peerId: this._peerId, progress: 0.8 * i / files.length, status: 'prepare' })
-            header.push({
+            let fileHeader = {
                 name: files[i].name,
                 mime: files[i].type,
                 size: files[i].size
-            });
+            };
+            // files of a folder are rebuilt in the same directory structure on the receiving side.
+            // Older clients receive them as flat files.
+            const relativePath = getRelativePath(files[i]);
+            if (relativePath && this._supports('folders')) fileHeader.path = relativePath;
+            header.push(fileHeader);
             totalSize += files[i].size;
             if (files[i].type.split('/')[0] !== 'image') imagesOnly = false;
         }
@@ -476,10 +612,16 @@ class Peer {
 
         Events.fire('set-progress', { peerId: this._peerId, progress: 1, status: 'prepare' })
 
-        this._filesRequested = files;
+        // a new transfer supersedes an interrupted one
+        if (this._interruptedTransfer) delete this._interruptedTransfer.outgoing;
+
+        // requests are answered by the receiver one after another
+        const requestId = ++this._lastRequestId;
+        this._filesRequests.push({ requestId: requestId, files: files });
 
         this.sendJSON({
             type: 'request',
+            requestId: requestId,
             header: header,
             totalSize: totalSize,
             imagesOnly: imagesOnly,
@@ -488,12 +630,11 @@ class Peer {
         Events.fire('set-progress', { peerId: this._peerId, progress: 0, status: 'wait' })
     }
 
-    async sendFiles() {
-        for (let i = 0; i < this._filesRequested.length; i++) {
-            this._filesQueue.push(this._filesRequested[i]);
+    async sendFiles(files) {
+        for (let i = 0; i < files.length; i++) {
+            this._filesQueue.push(files[i]);
         }
-        this._filesRequested = null
-        if (this._busy) return;
+        if (this._busy || !this._filesQueue.length) return;
         this._dequeueFile();
     }
 
@@ -503,30 +644,135 @@ class Peer {
         this._sendFile(file);
     }
 
-    async _sendFile(file) {
-        this.sendJSON({
-            type: 'header',
-            size: file.size,
-            name: file.name,
-            mime: file.type
-        });
-        this._chunker = new FileChunker(file,
-            chunk => this._send(chunk),
-            offset => this._onPartitionEnd(offset));
+    async _sendFile(file, offset = 0) {
+        this._fileSending = file;
+
+        // The file is hashed while it is sent and its digest is transmitted with 'file-end'.
+        // Older clients do not verify files.
+        const sha256 = this._supports('hashing')
+            ? new SHA256()
+            : null;
+
+        let compression = null;
+
+        if (!offset) {
+            compression = await this._getCompression(file);
+
+            // transfer was canceled in the meantime
+            if (this._fileSending !== file) return;
+
+            const header = {
+                type: 'header',
+                size: file.size,
+                name: file.name,
+                mime: file.type
+            };
+
+            // the compressed size is unknown until the whole file is compressed -> its end is marked via 'file-end'
+            if (compression) header.compression = compression;
+
+            this.sendJSON(header);
+        }
+        else if (sha256) {
+            // resumed transfer: hash the part the receiver has already stored
+            await this._hashFilePart(sha256, file.slice(0, offset));
+
+            if (this._fileSending !== file) return;
+        }
+        this._lastAcknowledgedOffset = offset;
+
+        const onPartitionEnd = offset => this._onPartitionEnd(offset);
+        const onFileEnd = _ => this._onFileEnd(sha256, compression);
+
+        // files are compressed on the fly while they are sent. The digest is computed over the original data.
+        if (compression) {
+            let stream = file.stream();
+            if (sha256) stream = stream.pipeThrough(Peer._createHashingStream(sha256));
+
+            this._chunker = new StreamChunker(stream.pipeThrough(new CompressionStream(compression)),
+                chunk => this._send(chunk),
+                onPartitionEnd,
+                onFileEnd,
+                this._getChunkSize());
+        }
+        else {
+            this._chunker = new FileChunker(file,
+                chunk => {
+                    if (sha256) sha256.update(chunk);
+                    return this._send(chunk);
+                },
+                onPartitionEnd,
+                onFileEnd,
+                offset,
+                this._getChunkSize());
+        }
         this._chunker.nextPartition();
     }
 
+    async _getCompression(file) {
+        if (!this._supports('compression')
+            || !file.size
+            || !mime.isCompressible(file.type)) return null;
+
+        try {
+            const sample = file.slice(0, Peer.compressionSampleSize);
+            const compressedSample = await new Response(sample.stream().pipeThrough(new CompressionStream('deflate-raw'))).blob();
+
+            // only use compression if it pays off
+            return compressedSample.size < sample.size * 0.9
+                ? 'deflate-raw'
+                : null;
+        }
+        catch (e) {
+            console.error(e);
+            return null;
+        }
+    }
+
+    _hashFilePart(sha256, filePart) {
+        return new Promise(resolve => {
+            const chunker = new FileChunker(filePart,
+                chunk => sha256.update(chunk),
+                _ => chunker.partitionAcknowledged(),
+                resolve);
+            chunker.nextPartition();
+        });
+    }
+
+    static _createHashingStream(sha256) {
+        return new TransformStream({
+            transform(chunk, controller) {
+                sha256.update(chunk);
+                controller.enqueue(chunk);
+            }
+        });
+    }
+
     _onPartitionEnd(offset) {
         this.sendJSON({ type: 'partition', offset: offset });
     }
 
+    _onFileEnd(sha256, compression) {
+        // uncompressed files of older clients are complete as soon as all bytes are received
+        if (!sha256 && !compression) return;
+
+        this.sendJSON({ type: 'file-end', sha256: sha256 ? sha256.digest() : undefined });
+    }
+
+    _onReceivedFileEnd(message) {
+        if (!this._digester) return;
+        this._digester.end(message.sha256);
+    }
+
     _onReceivedPartitionEnd(offset) {
         this.sendJSON({ type: 'partition-received', offset: offset });
     }
 
-    _sendNextPartition() {
-        if (!this._chunker || this._chunker.isFileEnd()) return;
-        this._chunker.nextPartition();
+    _onPartitionReceived(offset) {
+        // older clients do not send the offset with the acknowledgement
+        if (typeof offset === 'number') this._lastAcknowledgedOffset = offset;
+        if (!this._chunker) return;
+        this._chunker.partitionAcknowledged();
     }
 
     _sendProgress(progress) {
@@ -540,6 +786,9 @@ class Peer {
         }
         const messageJSON = JSON.parse(message);
         switch (messageJSON.type) {
+            case 'hello':
+                this._onHello(messageJSON);
+                break;
             case 'request':
                 this._onFilesTransferRequest(messageJSON);
                 break;
@@ -547,17 +796,26 @@ class Peer {
                 this._onFileHeader(messageJSON);
                 break;
             case 'partition':
-                this._onReceivedPartitionEnd(messageJSON);
+                this._onReceivedPartitionEnd(messageJSON.offset);
                 break;
             case 'partition-received':
-                this._sendNextPartition();
+                this._onPartitionReceived(messageJSON.offset);
+                break;
+            case 'file-end':
+                this._onReceivedFileEnd(messageJSON);
                 break;
             case 'progress':
+                // ignore progress of canceled transfers
+                if (!this._busy) break;
                 this._onDownloadProgress(messageJSON.progress);
+                this._updateOutgoingTransferStats(messageJSON.progress);
                 break;
             case 'files-transfer-response':
                 this._onFileTransferRequestResponded(messageJSON);
                 break;
+            case 'files-transfer-queued':
+                this._onFilesTransferQueued(messageJSON);
+                break;
             case 'file-transfer-complete':
                 this._onFileTransferCompleted();
                 break;
@@ -570,79 +828,190 @@ class Peer {
             case 'display-name-changed':
                 this._onDisplayNameChanged(messageJSON);
                 break;
+            case 'transfer-resume':
+                this._onTransferResume(messageJSON);
+                break;
+            case 'transfer-resume-response':
+                this._onTransferResumeResponse(messageJSON);
+                break;
+            case 'transfer-cancel':
+                this._onTransferCanceledByPeer(messageJSON);
+                break;
         }
     }
 
     _onFilesTransferRequest(request) {
-        if (this._requestPending) {
-            // Only accept one request at a time per peer
-            this.sendJSON({ type: 'files-transfer-response', accepted: false });
-            return;
-        }
-        if (window.iOS && request.totalSize >= 200 * 1024 * 1024) {
+        if (window.iOS && request.totalSize >= 200 * 1024 * 1024 && !FileSink.isStreamingSupported()) {
             // iOS Safari can only put 400MB at once to memory.
             // Request to send them in chunks of 200MB instead:
-            this.sendJSON({ type: 'files-transfer-response', accepted: false, reason: 'ios-memory-limit' });
+            this.sendJSON({ type: 'files-transfer-response', requestId: request.requestId, accepted: false, reason: 'ios-memory-limit' });
+            return;
+        }
+        if (this._requestPending || this._requestAccepted) {
+            // Only handle one request at a time per peer. Queue the others and tell the sender.
+            this._requestsQueue.push(request);
+            this._sendQueuePosition(request.requestId, this._requestsQueue.length);
             return;
         }
 
         this._requestPending = request;
 
-        if (this._autoAccept) {
+        // rules of paired devices take precedence over auto-accept
+        const ruleAction = this._evaluateAutoAcceptRules(request);
+
+        if (ruleAction === 'decline') {
+            this._respondToFileTransferRequest(false);
+            Events.fire('notify-user', Localization.getTranslation("notifications.request-declined-by-rule"));
+            return;
+        }
+
+        if (ruleAction === 'accept' || (!ruleAction && this._autoAccept)) {
             // auto accept if set via Edit Paired Devices Dialog
-            this._respondToFileTransferRequest(true);
+            FileSink
+                .chooseSaveTarget(request, false, this._displayName)
+                .then(saveTarget => this._respondToFileTransferRequest(true, saveTarget));
             return;
         }
 
         // default behavior: show user transfer request
         Events.fire('files-transfer-request', {
             request: request,
-            peerId: this._peerId
+            peerId: this._peerId,
+            filesSelectable: this._supports('file-selection')
+        });
+    }
+
+    static filterRequest(request, acceptedFiles) {
+        if (!acceptedFiles) return request;
+
+        const header = request.header.filter((_, i) => acceptedFiles.includes(i));
+        return Object.assign({}, request, {
+            header: header,
+            totalSize: header.reduce((totalSize, file) => totalSize + file.size, 0),
+            imagesOnly: header.every(file => file.mime.split('/')[0] === 'image')
         });
     }
 
-    _respondToFileTransferRequest(accepted) {
-        this.sendJSON({ type: 'files-transfer-response', accepted: accepted });
+    _respondToFileTransferRequest(accepted, saveTarget = null, acceptedFiles = null) {
+        if (!this._requestPending) return;
+
+        // accepting none of the files equals declining the request
+        if (accepted && acceptedFiles && !Peer.filterRequest(this._requestPending, acceptedFiles).header.length) {
+            accepted = false;
+        }
+
+        let response = { type: 'files-transfer-response', requestId: this._requestPending.requestId, accepted: accepted };
+        // only a subset of the requested files is accepted
+        if (accepted && acceptedFiles) response.acceptedFiles = acceptedFiles;
+        this.sendJSON(response);
+
+        if (!accepted) {
+            this._onTransferEnded('received', this._requestPending.header, 'declined');
+        }
         if (accepted) {
-            this._requestAccepted = this._requestPending;
+            this._requestAccepted = Peer.filterRequest(this._requestPending, acceptedFiles);
+            this._saveTarget = saveTarget;
             this._totalBytesReceived = 0;
             this._busy = true;
             this._filesReceived = [];
+            this._filesCorrupted = [];
         }
         this._requestPending = null;
+
+        if (!accepted) this._dequeueRequest();
+    }
+
+    _dequeueRequest() {
+        if (this._requestPending || this._requestAccepted || !this._requestsQueue.length) return;
+
+        const request = this._requestsQueue.shift();
+
+        // inform the sender about the new queue positions. Position 0 is the request that is handled now.
+        this._sendQueuePosition(request.requestId, 0);
+        this._requestsQueue.forEach((queuedRequest, i) => {
+            this._sendQueuePosition(queuedRequest.requestId, i + 1);
+        });
+
+        this._onFilesTransferRequest(request);
+    }
+
+    _sendQueuePosition(requestId, position) {
+        if (!this._supports('queue')) return;
+        this.sendJSON({ type: 'files-transfer-queued', requestId: requestId, position: position });
     }
 
     _onFileHeader(header) {
         if (this._requestAccepted && this._requestAccepted.header.length) {
             this._lastProgress = 0;
-            this._digester = new FileDigester({ size: header.size, name: header.name, mime: header.mime },
+            const meta = {
+                size: header.size,
+                name: header.name,
+                mime: header.mime,
+                verify: this._supports('hashing'),
+                compression: header.compression,
+                path: sanitizeRelativePath(this._requestAccepted.header[0].path)
+            };
+            this._digester = new FileDigester(meta,
                 this._requestAccepted.totalSize,
                 this._totalBytesReceived,
-                fileBlob => this._onFileReceived(fileBlob)
+                (fileBlob, integrityError) => this._onFileReceived(fileBlob, integrityError),
+                _ => this._onFileSaveError(),
+                FileSink.create(this._saveTarget, meta)
             );
         }
     }
 
     _abortTransfer() {
-        Events.fire('set-progress', { peerId: this._peerId, progress: 1, status: 'wait' });
         Events.fire('notify-user', Localization.getTranslation("notifications.files-incorrect"));
-        this._filesReceived = [];
-        this._requestAccepted = null;
-        this._digester = null;
+        this._failRunningIncomingTransfer();
         throw new Error("Received files differ from requested files. Abort!");
     }
 
+    _onFileSaveError() {
+        Events.fire('notify-user', Localization.getTranslation("notifications.file-save-error"));
+        this._failRunningIncomingTransfer();
+    }
+
+    // Only the accepted request fails, queued requests are handled afterward
+    _failRunningIncomingTransfer() {
+        // stop the sender from sending the rest of the files
+        if (this._supports('cancel')) this.sendJSON({ type: 'transfer-cancel', onlyRunning: true });
+
+        const files = [...this._filesReceived];
+        if (this._requestAccepted) files.push(...this._requestAccepted.header);
+        this._onTransferEnded('received', files, 'failed');
+
+        if (this._digester) this._digester.abort();
+        this._digester = null;
+        this._requestAccepted = null;
+        this._filesReceived = [];
+        this._filesCorrupted = [];
+        this._busy = false;
+
+        Events.fire('set-progress', { peerId: this._peerId, progress: 1, status: 'wait' });
+        Events.fire('transfer-canceled', { peerId: this._peerId });
+
+        this._dequeueRequest();
+    }
+
     _onChunkReceived(chunk) {
-        if (!this._digester || !(chunk.byteLength || chunk.size)) return;
+        const digester = this._digester;
+        if (!digester || !(chunk.byteLength || chunk.size)) return;
 
-        this._digester.unchunk(chunk);
-        const progress = this._digester.progress;
+        digester.unchunk(chunk);
+        const progress = digester.progress;
 
         if (progress > 1) {
             this._abortTransfer();
         }
 
         this._onDownloadProgress(progress);
+        this._updateTransferStats(
+            this._totalBytesReceived + digester.bytesDone,
+            this._requestAccepted.totalSize,
+            this._requestAccepted.header.length,
+            digester.name
+        );
 
         // occasionally notify sender about our progress
         if (progress - this._lastProgress < 0.005 && progress !== 1) return;
@@ -654,9 +1023,42 @@ class Peer {
         Events.fire('set-progress', { peerId: this._peerId, progress: progress, status: 'transfer' });
     }
 
-    async _onFileReceived(fileBlob) {
+    _updateOutgoingTransferStats(progress) {
+        // the receiver only reports the progress relative to all files of the request
+        const files = [...this._filesSent, this._fileSending, ...this._filesQueue].filter(file => file);
+        const bytesTotal = files.reduce((totalSize, file) => totalSize + file.size, 0);
+        const filesRemaining = this._filesQueue.length + (this._fileSending ? 1 : 0);
+        const fileName = this._fileSending ? this._fileSending.name : "";
+
+        this._updateTransferStats(Math.round(progress * bytesTotal), bytesTotal, filesRemaining, fileName);
+    }
+
+    _updateTransferStats(bytesDone, bytesTotal, filesRemaining, fileName) {
+        if (!this._transferRateMeter) this._transferRateMeter = new TransferRateMeter();
+        this._transferRateMeter.addSample(bytesDone);
+
+        // do not redraw on every chunk
+        const now = Date.now();
+        if (now - this._lastTransferStatsUpdate < 500) return;
+        this._lastTransferStatsUpdate = now;
+
+        const bytesPerSecond = this._transferRateMeter.bytesPerSecond;
+
+        Events.fire('set-transfer-stats', {
+            peerId: this._peerId,
+            bytesPerSecond: bytesPerSecond,
+            secondsRemaining: bytesPerSecond ? (bytesTotal - bytesDone) / bytesPerSecond : null,
+            bytesDone: bytesDone,
+            bytesTotal: bytesTotal,
+            filesRemaining: filesRemaining,
+            fileName: fileName
+        });
+    }
+
+    async _onFileReceived(fileBlob, integrityError) {
         const acceptedHeader = this._requestAccepted.header.shift();
         this._totalBytesReceived += fileBlob.size;
+        this._digester = null;
 
         this.sendJSON({ type: 'file-transfer-complete' });
 
@@ -667,146 +1069,485 @@ class Peer {
         }
 
         // include for compatibility with 'Snapdrop & PairDrop for Android' app
-        Events.fire('file-received', fileBlob);
+        // files that were saved to disk directly are not available as blob
+        if (fileBlob instanceof File) Events.fire('file-received', fileBlob);
 
         this._filesReceived.push(fileBlob);
+        if (integrityError) {
+            console.error(`SHA-256 digest of received file ${fileBlob.name} does not match the digest of the sender`);
+            this._filesCorrupted.push(fileBlob.name);
+        }
+
         if (!this._requestAccepted.header.length) {
             this._busy = false;
             Events.fire('set-progress', { peerId: this._peerId, progress: 0, status: 'process' });
-            Events.fire('files-received', { peerId: this._peerId, files: this._filesReceived, imagesOnly: this._requestAccepted.imagesOnly, totalSize: this._requestAccepted.totalSize });
+            Events.fire('files-received', {
+                peerId: this._peerId,
+                files: this._filesReceived,
+                imagesOnly: this._requestAccepted.imagesOnly,
+                totalSize: this._requestAccepted.totalSize,
+                corruptedFiles: this._filesCorrupted,
+                autoSaved: !!this._saveTarget && !!this._saveTarget.autoSave
+            });
+            this._onTransferEnded('received', this._filesReceived, this._filesCorrupted.length ? 'failed' : 'completed');
             this._filesReceived = [];
+            this._filesCorrupted = [];
             this._requestAccepted = null;
+            this._dequeueRequest();
         }
     }
 
     _onFileTransferCompleted() {
+        if (!this._busy) return;
+
         this._chunker = null;
+        this._filesSent.push(this._fileSending);
+        this._fileSending = null;
         if (!this._filesQueue.length) {
             this._busy = false;
             Events.fire('notify-user', Localization.getTranslation("notifications.file-transfer-completed"));
-            Events.fire('files-sent'); // used by 'Snapdrop & PairDrop for Android' app
+            Events.fire('files-sent', { peerId: this._peerId }); // used by 'Snapdrop & PairDrop for Android' app
+            this._onTransferEnded('sent', this._filesSent, 'completed');
+            this._filesSent = [];
         }
         else {
             this._dequeueFile();
         }
     }
 
-    _onFileTransferRequestResponded(message) {
-        if (!message.accepted) {
-            Events.fire('set-progress', { peerId: this._peerId, progress: 1, status: 'wait' });
-            this._filesRequested = null;
-            if (message.reason === 'ios-memory-limit') {
-                Events.fire('notify-user', Localization.getTranslation("notifications.ios-memory-limit"));
-            }
-            return;
-        }
-        Events.fire('file-transfer-accepted');
-        Events.fire('set-progress', { peerId: this._peerId, progress: 0, status: 'transfer' });
-        this.sendFiles();
-    }
-
-    _onMessageTransferCompleted() {
-        Events.fire('notify-user', Localization.getTranslation("notifications.message-transfer-completed"));
+    _isTransferActive() {
+        return this._busy
+            || !!this._filesRequests.length
+            || !!this._requestPending
+            || !!this._requestAccepted
+            || !!this._requestsQueue.length;
     }
 
-    sendText(text) {
-        const unescaped = btoa(unescape(encodeURIComponent(text)));
-        this.sendJSON({ type: 'text', text: unescaped });
-    }
+    cancelTransfer() {
+        if (!this._isTransferActive()) return;
 
-    _onTextReceived(message) {
-        if (!message.text) return;
-        const escaped = decodeURIComponent(escape(atob(message.text)));
-        Events.fire('text-received', { text: escaped, peerId: this._peerId });
-        this.sendJSON({ type: 'message-transfer-complete' });
+        if (this._supports('cancel')) this.sendJSON({ type: 'transfer-cancel' });
+        this._cleanUpTransfer();
+        Events.fire('notify-user', Localization.getTranslation("notifications.transfer-canceled"));
     }
 
-    _onDisplayNameChanged(message) {
-        const displayNameHasChanged = this._displayName !== message.displayName
+    _onTransferCanceledByPeer(message) {
+        if (!this._isTransferActive()) return;
 
-        if (message.displayName && displayNameHasChanged) {
-            this._displayName = message.displayName;
+        // the receiver failed to receive the running transfer but still handles the queued requests
+        if (message.onlyRunning) {
+            this._failRunningOutgoingTransfer();
+            return;
         }
 
-        Events.fire('peer-display-name-changed', { peerId: this._peerId, displayName: message.displayName });
+        if (this._requestPending) {
+            Events.fire('files-transfer-request-canceled', { peerId: this._peerId });
+        }
 
-        if (!displayNameHasChanged) return;
-        Events.fire('notify-peer-display-name-changed', this._peerId);
+        this._cleanUpTransfer();
+        Events.fire('notify-user', Localization.getTranslation("notifications.transfer-canceled-by-peer"));
     }
 
-    async _onPrintFiles(detail) {
-        if (!this._isConnected()) {
-            Events.fire('notify-user', Localization.getTranslation("notifications.offline"));
-            return;
-        }
+    _failRunningOutgoingTransfer() {
+        const files = [...this._filesSent];
+        if (this._fileSending) files.push(this._fileSending);
+        files.push(...this._filesQueue);
+        this._onTransferEnded('sent', files, 'failed');
 
-        const printerId = detail.printerId;
-        const files = detail.files;
+        if (this._chunker) this._chunker.cancel();
+        this._chunker = null;
+        this._fileSending = null;
+        this._filesQueue = [];
+        this._filesSent = [];
+        this._busy = false;
 
-        if (files.length === 0) return;
+        Events.fire('set-progress', { peerId: this._peerId, progress: 1, status: 'wait' });
+        Events.fire('transfer-canceled', { peerId: this._peerId });
+        Events.fire('notify-user', Localization.getTranslation("notifications.transfer-failed-by-peer"));
+    }
 
-        // Currently only support single file print for simplicity
-        const file = files[0];
+    _cleanUpTransfer(outcome = 'canceled') {
+        this._onTransferEnded('sent', this._getFilesOfOutgoingTransfer(), outcome);
+        this._onTransferEnded('received', this._getFilesOfIncomingTransfer(), outcome);
 
-        Events.fire('notify-user', `Sending ${file.name} to printer...`);
+        // sending side
+        if (this._chunker) this._chunker.cancel();
+        this._chunker = null;
+        this._fileSending = null;
+        this._filesQueue = [];
+        this._filesSent = [];
+        this._filesRequests = [];
 
-        // Read file as ArrayBuffer
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const buffer = e.target.result;
+        // receiving side
+        if (this._digester) this._digester.abort();
+        this._digester = null;
+        this._requestPending = null;
+        this._requestAccepted = null;
+        this._requestsQueue = [];
+        this._filesReceived = [];
+        this._filesCorrupted = [];
 
-            // Send print job request
-            this.send({
-                type: 'print-job',
-                printerId: printerId,
-                fileName: file.name,
-                fileType: file.type,
-                fileSize: file.size,
-                data: buffer // This might need chunking for large files, keeping it simple for now
-            });
-        };
-        reader.readAsArrayBuffer(file);
+        this._interruptedTransfer = null;
+        this._busy = false;
+
+        Events.fire('set-progress', { peerId: this._peerId, progress: 1, status: 'wait' });
+        Events.fire('transfer-canceled', { peerId: this._peerId });
     }
-}
 
-class RTCPeer extends Peer {
+    _getFilesOfOutgoingTransfer() {
+        const files = [...this._filesSent];
+        if (this._fileSending) files.push(this._fileSending);
+        files.push(...this._filesQueue);
+        this._filesRequests.forEach(filesRequest => files.push(...filesRequest.files));
+        return files;
+    }
 
-    constructor(serverConnection, isCaller, peerId, roomType, roomId, rtcConfig) {
-        super(serverConnection, isCaller, peerId, roomType, roomId);
+    _getFilesOfIncomingTransfer() {
+        // the header of a file is removed from the request as soon as the file is received
+        const request = this._requestAccepted || this._requestPending;
+        const files = [...(this._filesReceived || [])];
+        if (request) files.push(...request.header);
+        this._requestsQueue.forEach(queuedRequest => files.push(...queuedRequest.header));
+        return files;
+    }
 
-        this.rtcSupported = true;
-        this.rtcConfig = rtcConfig
+    _onTransferEnded(direction, files, outcome) {
+        if (!files || !files.length) return;
 
-        if (!this._isCaller) return; // we will listen for a caller
-        this._connect();
+        Events.fire('transfer-ended', {
+            peerId: this._peerId,
+            direction: direction,
+            files: [...files],
+            outcome: outcome
+        });
     }
 
-    _connect() {
-        if (!this._conn || this._conn.signalingState === "closed") this._openConnection();
+    _getInterruptedTransfer() {
+        let interruptedTransfer = {};
 
-        if (this._isCaller) {
-            this._openChannel();
+        if (this._fileSending) {
+            interruptedTransfer.outgoing = {
+                file: this._fileSending,
+                filesQueue: this._filesQueue,
+                filesSent: this._filesSent
+            };
         }
-        else {
-            this._conn.ondatachannel = e => this._onChannelOpened(e);
+
+        if (this._requestAccepted && this._requestAccepted.header.length) {
+            interruptedTransfer.incoming = {
+                requestAccepted: this._requestAccepted,
+                digester: this._digester,
+                saveTarget: this._saveTarget,
+                filesReceived: this._filesReceived,
+                filesCorrupted: this._filesCorrupted,
+                totalBytesReceived: this._totalBytesReceived
+            };
         }
+
+        return interruptedTransfer.outgoing || interruptedTransfer.incoming
+            ? interruptedTransfer
+            : null;
     }
 
-    _openConnection() {
-        this._conn = new RTCPeerConnection(this.rtcConfig);
-        this._conn.onicecandidate = e => this._onIceCandidate(e);
-        this._conn.onicecandidateerror = e => this._onError(e);
-        this._conn.onconnectionstatechange = _ => this._onConnectionStateChange();
-        this._conn.oniceconnectionstatechange = e => this._onIceConnectionStateChange(e);
+    _setInterruptedTransfer(interruptedTransfer) {
+        this._interruptedTransfer = interruptedTransfer;
     }
 
-    _openChannel() {
-        if (!this._conn) return;
+    _addToConnectionStateHistory(type, state) {
+        this._connectionStateHistory.push({ time: Date.now(), type: type, state: state });
 
-        const channel = this._conn.createDataChannel('data-channel', {
-            ordered: true,
-            reliable: true // Obsolete. See https://developer.mozilla.org/en-US/docs/Web/API/RTCDataChannel/reliable
-        });
+        // only keep the latest states
+        if (this._connectionStateHistory.length > 50) this._connectionStateHistory.shift();
+    }
+
+    // Is overwritten in expanding classes
+    async getDiagnostics() {
+        return {
+            transport: 'websocket',
+            protocolVersion: this._remoteProtocolVersion,
+            capabilities: [...this._remoteCapabilities],
+            connectionStateHistory: this._connectionStateHistory
+        };
+    }
+
+    // Continue pending requests and unfinished transfers on another connection to the same peer
+    _handOverTo(peer) {
+        peer._connectionStateHistory = this._connectionStateHistory;
+        peer._roomIds = { ...this._roomIds };
+        peer._evaluateAutoAccept();
+        peer._setInterruptedTransfer(this._getInterruptedTransfer() || this._interruptedTransfer);
+        peer._filesRequests = this._filesRequests;
+        peer._lastRequestId = this._lastRequestId;
+        peer._requestPending = this._requestPending;
+        peer._requestsQueue = this._requestsQueue;
+    }
+
+    _resumeInterruptedTransfer() {
+        // The receiving side knows how many bytes actually arrived and therefore initiates the resumption
+        const incoming = this._interruptedTransfer && this._interruptedTransfer.incoming;
+        if (!incoming) return;
+
+        delete this._interruptedTransfer.incoming;
+
+        this._requestAccepted = incoming.requestAccepted;
+        this._filesReceived = incoming.filesReceived;
+        this._filesCorrupted = incoming.filesCorrupted;
+        this._totalBytesReceived = incoming.totalBytesReceived;
+        this._digester = incoming.digester;
+        this._saveTarget = incoming.saveTarget;
+        this._busy = true;
+        this._lastProgress = 0;
+
+        // compressed files cannot be continued in the middle of the stream -> receive them again
+        if (this._digester && this._digester.compressed) {
+            this._digester.abort();
+            this._digester = null;
+        }
+
+        if (this._digester) {
+            this._digester.setCallbacks(
+                (fileBlob, integrityError) => this._onFileReceived(fileBlob, integrityError),
+                _ => this._onFileSaveError()
+            );
+        }
+
+        const nextHeader = this._requestAccepted.header[0];
+        this.sendJSON({
+            type: 'transfer-resume',
+            name: nextHeader.name,
+            size: nextHeader.size,
+            offset: this._digester ? this._digester.bytesReceived : 0
+        });
+    }
+
+    _onTransferResume(message) {
+        const outgoing = this._interruptedTransfer && this._interruptedTransfer.outgoing;
+
+        if (outgoing) delete this._interruptedTransfer.outgoing;
+
+        const isSameFile = file => file && file.name === message.name && file.size === message.size;
+        const offsetValid = message.offset >= 0 && outgoing && message.offset <= outgoing.file.size;
+
+        if (!outgoing || this._busy || !offsetValid) {
+            this.sendJSON({ type: 'transfer-resume-response', accepted: false });
+            return;
+        }
+
+        if (isSameFile(outgoing.file)) {
+            // continue at the offset the receiver has actually stored
+            this._filesQueue = outgoing.filesQueue;
+            this._filesSent = outgoing.filesSent;
+            this._busy = true;
+            this.sendJSON({ type: 'transfer-resume-response', accepted: true });
+            this._sendFile(outgoing.file, message.offset);
+        }
+        else if (isSameFile(outgoing.filesQueue[0]) && message.offset === 0) {
+            // the completion of the last file was received but its acknowledgment got lost
+            this._filesQueue = outgoing.filesQueue;
+            this._filesSent = [...outgoing.filesSent, outgoing.file];
+            this._busy = true;
+            this.sendJSON({ type: 'transfer-resume-response', accepted: true });
+            this._dequeueFile();
+        }
+        else {
+            this.sendJSON({ type: 'transfer-resume-response', accepted: false });
+            return;
+        }
+
+        Events.fire('set-progress', { peerId: this._peerId, progress: 0, status: 'transfer' });
+        Events.fire('notify-user', Localization.getTranslation("notifications.transfer-resumed"));
+    }
+
+    _onTransferResumeResponse(message) {
+        if (message.accepted) {
+            Events.fire('notify-user', Localization.getTranslation("notifications.transfer-resumed"));
+            return;
+        }
+
+        this._busy = false;
+        this._requestAccepted = null;
+        this._digester = null;
+        this._filesReceived = [];
+        Events.fire('set-progress', { peerId: this._peerId, progress: 1, status: 'wait' });
+        Events.fire('notify-user', Localization.getTranslation("notifications.transfer-resume-failed"));
+        this._dequeueRequest();
+    }
+
+    _takeFilesRequest(requestId) {
+        // older clients do not echo the requestId -> fall back to the oldest request
+        let i = this._filesRequests.findIndex(filesRequest => filesRequest.requestId === requestId);
+        if (i === -1) i = 0;
+
+        const filesRequest = this._filesRequests.splice(i, 1)[0];
+        return filesRequest ? filesRequest.files : null;
+    }
+
+    _onFilesTransferQueued(message) {
+        // the progress of a running transfer takes precedence
+        if (this._busy) return;
+
+        const isRequested = this._filesRequests.some(filesRequest => filesRequest.requestId === message.requestId);
+        if (!isRequested) return;
+
+        Events.fire('set-progress', {
+            peerId: this._peerId,
+            progress: 0,
+            status: message.position > 0 ? 'queued' : 'wait',
+            queuePosition: message.position
+        });
+    }
+
+    _onFileTransferRequestResponded(message) {
+        const files = this._takeFilesRequest(message.requestId);
+
+        // skip the files declined by the receiver
+        const acceptedFiles = files && Array.isArray(message.acceptedFiles)
+            ? files.filter((_, i) => message.acceptedFiles.includes(i))
+            : files;
+
+        // accepting none of the files (or only unknown ones) equals declining the request
+        const accepted = !!message.accepted && !(acceptedFiles && !acceptedFiles.length);
+
+        Events.fire('files-transfer-responded', { peerId: this._peerId, accepted: accepted });
+
+        if (!files) return;
+
+        if (!accepted) {
+            if (!this._busy) {
+                Events.fire('set-progress', { peerId: this._peerId, progress: 1, status: 'wait' });
+            }
+            this._onTransferEnded('sent', files, 'declined');
+            if (message.reason === 'ios-memory-limit') {
+                Events.fire('notify-user', Localization.getTranslation("notifications.ios-memory-limit"));
+            }
+            return;
+        }
+
+        Events.fire('file-transfer-accepted');
+        Events.fire('set-progress', { peerId: this._peerId, progress: 0, status: 'transfer' });
+        this.sendFiles(acceptedFiles);
+    }
+
+    _onMessageTransferCompleted() {
+        Events.fire('notify-user', Localization.getTranslation("notifications.message-transfer-completed"));
+    }
+
+    sendText(text) {
+        const unescaped = btoa(unescape(encodeURIComponent(text)));
+        this.sendJSON({ type: 'text', text: unescaped });
+    }
+
+    _onTextReceived(message) {
+        if (!message.text) return;
+        const escaped = decodeURIComponent(escape(atob(message.text)));
+        Events.fire('text-received', { text: escaped, peerId: this._peerId });
+        this.sendJSON({ type: 'message-transfer-complete' });
+    }
+
+    _onDisplayNameChanged(message) {
+        const displayNameHasChanged = this._displayName !== message.displayName
+
+        if (message.displayName && displayNameHasChanged) {
+            this._displayName = message.displayName;
+        }
+
+        Events.fire('peer-display-name-changed', { peerId: this._peerId, displayName: message.displayName });
+
+        if (!displayNameHasChanged) return;
+        Events.fire('notify-peer-display-name-changed', this._peerId);
+    }
+
+    async _onPrintFiles(detail) {
+        if (!this._isConnected()) {
+            Events.fire('notify-user', Localization.getTranslation("notifications.offline"));
+            return;
+        }
+
+        const printerId = detail.printerId;
+        const files = detail.files;
+
+        if (files.length === 0) return;
+
+        // Currently only support single file print for simplicity
+        const file = files[0];
+
+        Events.fire('notify-user', `Sending ${file.name} to printer...`);
+
+        // Read file as ArrayBuffer
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const buffer = e.target.result;
+
+            // Send print job request
+            this.send({
+                type: 'print-job',
+                printerId: printerId,
+                fileName: file.name,
+                fileType: file.type,
+                fileSize: file.size,
+                data: buffer // This might need chunking for large files, keeping it simple for now
+            });
+        };
+        reader.readAsArrayBuffer(file);
+    }
+}
+
+class RTCPeer extends Peer {
+
+    constructor(serverConnection, isCaller, peerId, roomType, roomId, rtcConfig) {
+        super(serverConnection, isCaller, peerId, roomType, roomId);
+
+        this.rtcSupported = true;
+        this.rtcConfig = rtcConfig
+
+        if (!this._isCaller) return; // we will listen for a caller
+        this._connect();
+    }
+
+    static get maxChunkSize() {
+        return 256 * 1024; // 256 KiB
+    }
+
+    // Sending pauses above this amount of queued data and resumes below the low threshold
+    static get maxBufferedAmount() {
+        return 8 * 1024 * 1024; // 8 MiB
+    }
+
+    static get bufferedAmountLowThreshold() {
+        return 1024 * 1024; // 1 MiB
+    }
+
+    // Time to restore a disconnected connection via ICE restarts before it is given up
+    static get reconnectTimeout() {
+        return 20000; // 20 s
+    }
+
+    _connect() {
+        if (!this._conn || this._conn.signalingState === "closed") this._openConnection();
+
+        if (this._isCaller) {
+            this._openChannel();
+        }
+        else {
+            this._conn.ondatachannel = e => this._onChannelOpened(e);
+        }
+    }
+
+    _openConnection() {
+        this._conn = new RTCPeerConnection(this.rtcConfig);
+        this._conn.onicecandidate = e => this._onIceCandidate(e);
+        this._conn.onicecandidateerror = e => this._onError(e);
+        this._conn.onconnectionstatechange = _ => this._onConnectionStateChange();
+        this._conn.oniceconnectionstatechange = e => this._onIceConnectionStateChange(e);
+    }
+
+    _openChannel() {
+        if (!this._conn) return;
+
+        const channel = this._conn.createDataChannel('data-channel', {
+            ordered: true,
+            reliable: true // Obsolete. See https://developer.mozilla.org/en-US/docs/Web/API/RTCDataChannel/reliable
+        });
         channel.onopen = e => this._onChannelOpened(e);
         channel.onerror = e => this._onError(e);
 
@@ -816,6 +1557,19 @@ class RTCPeer extends Peer {
             .catch(e => this._onError(e));
     }
 
+    _restartIce() {
+        // only the caller creates offers, the other side answers them in onServerMessage
+        if (!this._conn || !this._isCaller) return;
+
+        console.log('RTC: restarting ICE with', this._peerId);
+        this._addToConnectionStateHistory('ice', 'restart');
+
+        this._conn
+            .createOffer({ iceRestart: true })
+            .then(d => this._onDescription(d))
+            .catch(e => this._onError(e));
+    }
+
     _onDescription(description) {
         // description.sdp = description.sdp.replace('b=AS:30', 'b=AS:1638400');
         this._conn
@@ -855,12 +1609,14 @@ class RTCPeer extends Peer {
         console.log('RTC: channel opened with', this._peerId);
         const channel = event.channel || event.target;
         channel.binaryType = 'arraybuffer';
+        channel.bufferedAmountLowThreshold = RTCPeer.bufferedAmountLowThreshold;
         channel.onmessage = e => this._onMessage(e.data);
         channel.onclose = _ => this._onChannelClosed();
         this._channel = channel;
         Events.on('beforeunload', e => this._onBeforeUnload(e));
         Events.on('pagehide', _ => this._onPageHide());
         Events.fire('peer-connected', { peerId: this._peerId, connectionHash: this.getConnectionHash() });
+        this._sendHello();
     }
 
     _onMessage(message) {
@@ -917,6 +1673,10 @@ class RTCPeer extends Peer {
 
     _onChannelClosed() {
         console.log('RTC: channel closed', this._peerId);
+
+        // a failed connection is handled in _onConnectionStateChange
+        if (this._conn && this._conn.connectionState === 'failed') return;
+
         Events.fire('peer-disconnected', this._peerId);
         if (!this._isCaller) return;
         this._connect(); // reopen the channel
@@ -924,19 +1684,44 @@ class RTCPeer extends Peer {
 
     _onConnectionStateChange() {
         console.log('RTC: state changed:', this._conn.connectionState);
+        this._addToConnectionStateHistory('connection', this._conn.connectionState);
         switch (this._conn.connectionState) {
+            case 'connected':
+                clearTimeout(this._reconnectTimer);
+                break;
             case 'disconnected':
-                Events.fire('peer-disconnected', this._peerId);
+                // e.g. after a network change: try to find a new route while keeping the data channel open
                 this._onError('rtc connection disconnected');
+                this._restartIce();
+                clearTimeout(this._reconnectTimer);
+                this._reconnectTimer = setTimeout(() => this._onReconnectTimeout(), RTCPeer.reconnectTimeout);
                 break;
             case 'failed':
-                Events.fire('peer-disconnected', this._peerId);
+                clearTimeout(this._reconnectTimer);
                 this._onError('rtc connection failed');
+                Events.fire('rtc-connection-failed', this._peerId);
                 break;
         }
     }
 
+    _onReconnectTimeout() {
+        if (!this._conn || this._conn.connectionState === 'connected') return;
+
+        this._onError('rtc connection could not be restored');
+        Events.fire('rtc-connection-failed', this._peerId);
+    }
+
+    _closeConnection() {
+        clearTimeout(this._reconnectTimer);
+        if (this._chunker) this._chunker.cancel();
+        if (this._channel) this._channel.onclose = null;
+        if (!this._conn) return;
+        this._conn.onconnectionstatechange = null;
+        this._conn.close();
+    }
+
     _onIceConnectionStateChange() {
+        this._addToConnectionStateHistory('ice', this._conn.iceConnectionState);
         switch (this._conn.iceConnectionState) {
             case 'failed':
                 this._onError('ICE Gathering failed');
@@ -958,6 +1743,70 @@ class RTCPeer extends Peer {
     _send(message) {
         if (!this._channel) this.refresh();
         this._channel.send(message);
+
+        if (this._channel.bufferedAmount <= RTCPeer.maxBufferedAmount) return;
+
+        // apply backpressure: the chunker waits until the buffer of the channel has drained
+        return new Promise(resolve => {
+            const channel = this._channel;
+            const onDrained = _ => {
+                channel.removeEventListener('bufferedamountlow', onDrained);
+                channel.removeEventListener('close', onDrained);
+                resolve();
+            }
+            channel.addEventListener('bufferedamountlow', onDrained);
+            channel.addEventListener('close', onDrained);
+        });
+    }
+
+    async getDiagnostics() {
+        const diagnostics = await super.getDiagnostics();
+        diagnostics.transport = 'webrtc';
+        diagnostics.dataChannelState = this._channel ? this._channel.readyState : null;
+        diagnostics.iceConnectionState = this._conn ? this._conn.iceConnectionState : null;
+        diagnostics.candidatePair = null;
+
+        if (!this._conn) return diagnostics;
+
+        const stats = await this._conn.getStats();
+
+        let candidatePair;
+        stats.forEach(report => {
+            if (report.type === 'transport' && report.selectedCandidatePairId) {
+                candidatePair = stats.get(report.selectedCandidatePairId);
+            }
+        });
+
+        // Firefox does not report the transport but marks the selected candidate pair
+        if (!candidatePair) {
+            stats.forEach(report => {
+                if (report.type === 'candidate-pair' && report.selected) candidatePair = report;
+            });
+        }
+
+        if (!candidatePair) return diagnostics;
+
+        // addresses are left out deliberately as reports are meant to be shared
+        const describeCandidate = candidate => candidate
+            ? { type: candidate.candidateType, protocol: candidate.protocol, relayProtocol: candidate.relayProtocol }
+            : null;
+
+        diagnostics.candidatePair = {
+            local: describeCandidate(stats.get(candidatePair.localCandidateId)),
+            remote: describeCandidate(stats.get(candidatePair.remoteCandidateId)),
+            roundTripTime: candidatePair.currentRoundTripTime,
+            bytesSent: candidatePair.bytesSent,
+            bytesReceived: candidatePair.bytesReceived
+        };
+
+        return diagnostics;
+    }
+
+    _getChunkSize() {
+        // use the largest message size both browsers support but at most 256 KiB
+        const maxMessageSize = this._conn && this._conn.sctp && this._conn.sctp.maxMessageSize;
+        if (!maxMessageSize) return super._getChunkSize();
+        return Math.min(maxMessageSize, RTCPeer.maxChunkSize);
     }
 
     _sendSignal(signal) {
@@ -969,8 +1818,14 @@ class RTCPeer extends Peer {
     }
 
     refresh() {
+        // the peer rejoined (e.g. after a network change) -> move the open channel to a new route
+        if (this._isConnected()) {
+            this._restartIce();
+            return;
+        }
+
         // check if channel is open. otherwise create one
-        if (this._isConnected() || this._isConnecting()) return;
+        if (this._isConnecting()) return;
 
         // only reconnect if peer is caller
         if (!this._isCaller) return;
@@ -999,18 +1854,120 @@ class WSPeer extends Peer {
 
         this.rtcSupported = false;
 
+        // messages are encrypted and decrypted asynchronously -> keep them in order
+        this._sendQueue = Promise.resolve();
+        this._receiveQueue = Promise.resolve();
+
+        this._connectionHash = "";
+        this._keysPromise = WSPeer._generateKeys();
+        this._sharedKeyPromise = new Promise(resolve => this._resolveSharedKey = resolve);
+
         if (!this._isCaller) return; // we will listen for a caller
         this._sendSignal();
     }
 
+    static async _generateKeys() {
+        // SubtleCrypto is only available in secure contexts
+        if (!window.crypto || !window.crypto.subtle) return null;
+
+        try {
+            const keyPair = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveKey']);
+            const publicKey = await crypto.subtle.exportKey('raw', keyPair.publicKey);
+            return {
+                keyPair: keyPair,
+                publicKey: arrayBufferToBase64(publicKey)
+            };
+        }
+        catch (e) {
+            console.error(e);
+            return null;
+        }
+    }
+
+    async _deriveSharedKey(remotePublicKey) {
+        this._connectionHash = "";
+
+        const keys = await this._keysPromise;
+
+        // Fall back to unencrypted messages if one of the peers does not support encryption.
+        // As the server could also remove the public key, the peer is marked as unencrypted in the UI.
+        if (!keys || !remotePublicKey) {
+            console.warn("WS: end-to-end encryption is not supported by one of the peers. Messages are sent unencrypted.");
+            return null;
+        }
+
+        try {
+            const remoteKey = await crypto.subtle.importKey(
+                'raw',
+                base64ToArrayBuffer(remotePublicKey),
+                { name: 'ECDH', namedCurve: 'P-256' },
+                false,
+                []
+            );
+            const sharedKey = await crypto.subtle.deriveKey(
+                { name: 'ECDH', public: remoteKey },
+                keys.keyPair.privateKey,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt']
+            );
+            this._connectionHash = this._createConnectionHash(keys.publicKey, remotePublicKey);
+            return sharedKey;
+        }
+        catch (e) {
+            console.error(e);
+            return null;
+        }
+    }
+
+    _createConnectionHash(localPublicKey, remotePublicKey) {
+        const combinedPublicKeys = this._isCaller
+            ? localPublicKey + remotePublicKey
+            : remotePublicKey + localPublicKey;
+        let hash = cyrb53(combinedPublicKeys).toString();
+        while (hash.length < 16) {
+            hash = "0" + hash;
+        }
+        return hash;
+    }
+
     _send(chunk) {
-        this.sendJSON({
-            type: 'ws-chunk',
-            chunk: arrayBufferToBase64(chunk)
-        });
+        this._enqueueSend(_ => this._sendEncrypted(chunk, true));
     }
 
     sendJSON(message) {
+        this._enqueueSend(_ => this._sendEncrypted(message, false));
+    }
+
+    _enqueueSend(send) {
+        this._sendQueue = this._sendQueue
+            .then(send)
+            .catch(e => console.error(e));
+    }
+
+    async _sendEncrypted(data, binary) {
+        const sharedKey = await this._sharedKeyPromise;
+
+        if (!sharedKey) {
+            this._sendToServer(binary ? { type: 'ws-chunk', chunk: arrayBufferToBase64(data) } : data);
+            return;
+        }
+
+        const plaintext = binary
+            ? data
+            : new TextEncoder().encode(JSON.stringify(data));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, sharedKey, plaintext);
+
+        this._sendToServer({
+            type: 'ws-encrypted',
+            binary: binary,
+            iv: arrayBufferToBase64(iv),
+            data: arrayBufferToBase64(ciphertext)
+        });
+    }
+
+    _sendToServer(message) {
         message.to = this._peerId;
         message.roomType = this._getRoomTypes()[0];
         message.roomId = this._roomIds[this._getRoomTypes()[0]];
@@ -1018,19 +1975,76 @@ class WSPeer extends Peer {
     }
 
     _sendSignal(connected = false) {
-        this.sendJSON({ type: 'signal', connected: connected });
+        // signals are unencrypted but queued so that they arrive before any encrypted message
+        this._enqueueSend(async _ => {
+            const keys = await this._keysPromise;
+            this._sendToServer({
+                type: 'signal',
+                connected: connected,
+                publicKey: keys ? keys.publicKey : null
+            });
+        });
     }
 
-    onServerMessage(message) {
+    async onServerMessage(message) {
         this._peerId = message.sender.id;
-        Events.fire('peer-connected', { peerId: message.sender.id, connectionHash: this.getConnectionHash() })
-        if (message.connected) return;
-        this._sendSignal(true);
+
+        const sharedKeyPromise = this._deriveSharedKey(message.publicKey);
+        this._resolveSharedKey(sharedKeyPromise);
+        this._sharedKeyPromise = sharedKeyPromise;
+
+        if (!message.connected) this._sendSignal(true);
+
+        const sharedKey = await sharedKeyPromise;
+
+        this._addToConnectionStateHistory('websocket', sharedKey ? 'connected-encrypted' : 'connected');
+        Events.fire('peer-connected', {
+            peerId: message.sender.id,
+            connectionHash: this.getConnectionHash(),
+            relayed: true,
+            unencrypted: !sharedKey
+        });
+        this._sendHello();
+    }
+
+    _onMessage(message) {
+        this._enqueueReceive(async _ => {
+            // once the connection is encrypted, unencrypted messages can only originate from the server
+            if (await this._sharedKeyPromise) {
+                console.warn("WS: unencrypted message discarded.");
+                return;
+            }
+            super._onMessage(message);
+        });
+    }
+
+    _onEncryptedMessage(message) {
+        this._enqueueReceive(async _ => {
+            const sharedKey = await this._sharedKeyPromise;
+
+            if (!sharedKey) {
+                console.warn("WS: encrypted message discarded as no key was exchanged.");
+                return;
+            }
+
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: base64ToArrayBuffer(message.iv) },
+                sharedKey,
+                base64ToArrayBuffer(message.data)
+            );
+
+            super._onMessage(message.binary ? plaintext : new TextDecoder().decode(plaintext));
+        });
+    }
+
+    _enqueueReceive(receive) {
+        this._receiveQueue = this._receiveQueue
+            .then(receive)
+            .catch(e => console.error(e));
     }
 
     getConnectionHash() {
-        // Todo: implement SubtleCrypto asymmetric encryption and create connectionHash from public keys
-        return "";
+        return this._connectionHash;
     }
 }
 
@@ -1038,16 +2052,22 @@ class PeersManager {
 
     constructor(serverConnection) {
         this.peers = {};
+        this._interruptedTransfers = {};
+        this._outboxPeerIds = new Set();
         this._server = serverConnection;
         Events.on('signal', e => this._onMessage(e.detail));
         Events.on('peers', e => this._onPeers(e.detail));
         Events.on('files-selected', e => this._onFilesSelected(e.detail));
         Events.on('respond-to-files-transfer-request', e => this._onRespondToFileTransferRequest(e.detail))
         Events.on('send-text', e => this._onSendText(e.detail));
+        Events.on('cancel-transfer', e => this._onCancelTransfer(e.detail.peerId));
         Events.on('peer-left', e => this._onPeerLeft(e.detail));
         Events.on('peer-joined', e => this._onPeerJoined(e.detail));
         Events.on('peer-connected', e => this._onPeerConnected(e.detail.peerId));
         Events.on('peer-disconnected', e => this._onPeerDisconnected(e.detail));
+        Events.on('rtc-connection-failed', e => this._onRtcConnectionFailed(e.detail));
+        Events.on('request-peer-diagnostics', e => this._onRequestPeerDiagnostics(e.detail.peerId));
+        Events.on('outbox-add', e => this._onOutboxAdd(e.detail.roomSecret, e.detail.files));
 
         // this device closes connection
         Events.on('room-secrets-deleted', e => this._onRoomSecretsDeleted(e.detail));
@@ -1061,6 +2081,7 @@ class PeersManager {
         Events.on('self-display-name-changed', e => this._notifyPeersDisplayNameChanged(e.detail));
         Events.on('notify-peer-display-name-changed', e => this._notifyPeerDisplayNameChanged(e.detail));
         Events.on('auto-accept-updated', e => this._onAutoAcceptUpdated(e.detail.roomSecret, e.detail.autoAccept));
+        Events.on('auto-accept-rules-updated', e => this._onAutoAcceptRulesUpdated(e.detail.roomSecret, e.detail.autoAcceptRules));
         Events.on('ws-disconnected', _ => this._onWsDisconnected());
         Events.on('ws-relay', e => this._onWsRelay(e.detail));
         Events.on('ws-config', e => this._onWsConfig(e.detail));
@@ -1072,6 +2093,13 @@ class PeersManager {
 
     _onMessage(message) {
         const peerId = message.sender.id;
+        const peer = this.peers[peerId];
+
+        // signals without sdp or ice originate from a peer that switched to the WebSocket fallback
+        if (peer && peer.rtcSupported && this._wsConfig.wsFallback && !message.sdp && !message.ice) {
+            this._switchToWsPeer(peerId);
+        }
+
         this.peers[peerId].onServerMessage(message);
     }
 
@@ -1088,6 +2116,9 @@ class PeersManager {
             peer._updateRoomIds(roomType, roomId);
             peer._evaluateAutoAccept();
 
+            // the peer was connected before it was identified as paired device
+            if (roomType === 'secret') this._sendOutbox(peerId);
+
             return true;
         }
 
@@ -1111,7 +2142,41 @@ class PeersManager {
         else {
             console.warn("Websocket fallback is not activated on this instance.\n" +
                 "Activate WebRTC in this browser or ask the admin of this instance to activate the websocket fallback.")
+            return;
+        }
+
+        // hand over state of a transfer that was interrupted by a previous connection to this peer
+        if (this._interruptedTransfers[peerId]) {
+            this.peers[peerId]._setInterruptedTransfer(this._interruptedTransfers[peerId]);
+            delete this._interruptedTransfers[peerId];
+        }
+    }
+
+    _onRtcConnectionFailed(peerId) {
+        const peer = this.peers[peerId];
+        if (!peer) return;
+
+        // continue unfinished transfers via the server instead of aborting them
+        if (this._wsConfig.wsFallback && peer._isTransferActive()) {
+            this._switchToWsPeer(peerId);
+            return;
         }
+
+        Events.fire('peer-disconnected', peerId);
+    }
+
+    _switchToWsPeer(peerId) {
+        const rtcPeer = this.peers[peerId];
+        const roomType = rtcPeer._getRoomTypes()[0];
+
+        console.log('RTC: switching to WebSocket fallback for', peerId);
+
+        rtcPeer._closeConnection();
+
+        // the caller initiates the connection via the server, the other side waits for its signal
+        const wsPeer = new WSPeer(this._server, rtcPeer._isCaller, peerId, roomType, rtcPeer._roomIds[roomType]);
+        rtcPeer._handOverTo(wsPeer);
+        this.peers[peerId] = wsPeer;
     }
 
     _onPeerJoined(message) {
@@ -1128,17 +2193,172 @@ class PeersManager {
         if (!this._wsConfig.wsFallback) return;
 
         const messageJSON = JSON.parse(message);
+        const peer = this.peers[messageJSON.sender.id];
+
+        if (messageJSON.type === 'ws-encrypted') {
+            peer._onEncryptedMessage(messageJSON);
+            return;
+        }
+
         if (messageJSON.type === 'ws-chunk') message = base64ToArrayBuffer(messageJSON.chunk);
-        this.peers[messageJSON.sender.id]._onMessage(message);
+        peer._onMessage(message);
+    }
+
+    _onRespondToFileTransferRequest(detail) {
+        this.peers[detail.to]._respondToFileTransferRequest(detail.accepted, detail.saveTarget, detail.acceptedFiles);
+    }
+
+    async _onFilesSelected(message) {
+        let files = mime.addMissingMimeTypesToFiles([...message.files]);
+
+        if (Array.isArray(message.to)) {
+            this._broadcastFiles(files, message.to);
+            return;
+        }
+
+        await this.peers[message.to].requestFileTransfer(files);
+    }
+
+    _broadcastFiles(files, peerIds) {
+        // Every peer gets its own request and transfer. The outcome is reported once all peers are settled.
+        const results = {};
+
+        const settled = peerIds.map(peerId => this
+            ._requestFileTransferAndWait(peerId, files)
+            .then(result => results[peerId] = result));
+
+        Promise.all(settled)
+            .then(_ => Events.fire('files-broadcast-completed', { results: results }));
+    }
+
+    // Resolves with 'accepted' as soon as all files are sent, with 'declined' or with 'failed'
+    _requestFileTransferAndWait(peerId, files) {
+        return new Promise(resolve => {
+            const peer = this.peers[peerId];
+
+            if (!peer) {
+                resolve('failed');
+                return;
+            }
+
+            const onResponded = e => {
+                // accepted transfers are settled as soon as all files are sent
+                if (e.detail.peerId === peerId && !e.detail.accepted) onSettled('declined');
+            };
+            const onSent = e => {
+                if (e.detail.peerId === peerId) onSettled('accepted');
+            };
+            const onCanceled = e => {
+                if (e.detail.peerId === peerId) onSettled('failed');
+            };
+            const onDisconnected = e => {
+                if (e.detail === peerId) onSettled('failed');
+            };
+
+            const onSettled = result => {
+                Events.off('files-transfer-responded', onResponded);
+                Events.off('files-sent', onSent);
+                Events.off('transfer-canceled', onCanceled);
+                Events.off('peer-disconnected', onDisconnected);
+
+                resolve(result);
+            }
+
+            Events.on('files-transfer-responded', onResponded);
+            Events.on('files-sent', onSent);
+            Events.on('transfer-canceled', onCanceled);
+            Events.on('peer-disconnected', onDisconnected);
+
+            peer
+                .requestFileTransfer(files)
+                .catch(e => {
+                    console.error(e);
+                    onSettled('failed');
+                });
+        });
+    }
+
+    async _onOutboxAdd(roomSecret, files) {
+        files = [...files];
+
+        const entry = {
+            'room_secret': roomSecret,
+            'files': files,
+            // relative paths are not stored as part of the files
+            'paths': files.map(file => getRelativePath(file)),
+            'time': Date.now()
+        };
+
+        try {
+            await PersistentStorage.addOutboxEntry(entry);
+        }
+        catch (e) {
+            console.error(e);
+            Events.fire('notify-user', Localization.getTranslation("notifications.outbox-error"));
+            return;
+        }
+
+        Events.fire('outbox-updated', { roomSecret: roomSecret });
+        Events.fire('notify-user', Localization.getTranslation("notifications.outbox-added"));
+
+        // the device might have come online in the meantime
+        const peerId = this._getPeerIdsFromRoomId(roomSecret)[0];
+        if (peerId) await this._sendOutbox(peerId);
+    }
+
+    async _sendOutbox(peerId) {
+        const peer = this.peers[peerId];
+
+        if (!peer || !peer._isPaired() || peer._isSameBrowser() || this._outboxPeerIds.has(peerId)) return;
+
+        // outbox is sent as soon as the connection is established
+        if (peer instanceof RTCPeer && !peer._isConnected()) return;
+
+        const roomSecret = peer._getPairSecret();
+
+        this._outboxPeerIds.add(peerId);
+        try {
+            const outboxEntries = await PersistentStorage.getOutboxEntries(roomSecret);
+
+            // every entry is requested separately so that the files dropped together are accepted together
+            for (let i = 0; i < outboxEntries.length; i++) {
+                const files = mime.addMissingMimeTypesToFiles(PeersManager._getOutboxFiles(outboxEntries[i].entry));
+                const result = await this._requestFileTransferAndWait(peerId, files);
+
+                // keep the files until the device is online again
+                if (result === 'failed') break;
+
+                await PersistentStorage.deleteOutboxEntry(outboxEntries[i].key);
+                Events.fire('outbox-updated', { roomSecret: roomSecret });
+            }
+        }
+        catch (e) {
+            console.error(e);
+        }
+        finally {
+            this._outboxPeerIds.delete(peerId);
+        }
+    }
+
+    static _getOutboxFiles(outboxEntry) {
+        return outboxEntry.files.map((file, i) => {
+            if (outboxEntry.paths[i]) file.relativePath = outboxEntry.paths[i];
+            return file;
+        });
+    }
+
+    _deleteOutbox(roomSecret) {
+        PersistentStorage
+            .deleteOutboxEntries(roomSecret)
+            .then(_ => Events.fire('outbox-updated', { roomSecret: roomSecret }))
+            .catch(e => console.error(e));
     }
 
-    _onRespondToFileTransferRequest(detail) {
-        this.peers[detail.to]._respondToFileTransferRequest(detail.accepted);
-    }
+    _onCancelTransfer(peerId) {
+        const peer = this.peers[peerId];
+        if (!peer) return;
 
-    async _onFilesSelected(message) {
-        let files = mime.addMissingMimeTypesToFiles([...message.files]);
-        await this.peers[message.to].requestFileTransfer(files);
+        peer.cancelTransfer();
     }
 
     _onSendText(message) {
@@ -1168,6 +2388,17 @@ class PeersManager {
 
     _onPeerConnected(peerId) {
         this._notifyPeerDisplayNameChanged(peerId);
+        this._sendOutbox(peerId);
+    }
+
+    _onRequestPeerDiagnostics(peerId) {
+        const peer = this.peers[peerId];
+        if (!peer) return;
+
+        peer
+            .getDiagnostics()
+            .then(diagnostics => Events.fire('peer-diagnostics', { peerId: peerId, diagnostics: diagnostics }))
+            .catch(e => console.error(e));
     }
 
     _peerExists(peerId) {
@@ -1191,9 +2422,16 @@ class PeersManager {
     _onPeerDisconnected(peerId) {
         const peer = this.peers[peerId];
         delete this.peers[peerId];
-        if (!peer || !peer._conn) return;
-        if (peer._channel) peer._channel.onclose = null;
-        peer._conn.close();
+        if (!peer) return;
+
+        // keep state of unfinished transfers to resume them as soon as the peer reconnects
+        const interruptedTransfer = peer._getInterruptedTransfer();
+        if (interruptedTransfer) {
+            this._interruptedTransfers[peerId] = interruptedTransfer;
+        }
+
+        if (!peer._conn) return;
+        peer._closeConnection();
         peer._busy = false;
         peer._roomIds = {};
     }
@@ -1201,6 +2439,7 @@ class PeersManager {
     _onRoomSecretsDeleted(roomSecrets) {
         for (let i = 0; i < roomSecrets.length; i++) {
             this._disconnectOrRemoveRoomTypeByRoomId('secret', roomSecrets[i]);
+            this._deleteOutbox(roomSecrets[i]);
         }
     }
 
@@ -1210,6 +2449,7 @@ class PeersManager {
 
     _onSecretRoomDeleted(roomSecret) {
         this._disconnectOrRemoveRoomTypeByRoomId('secret', roomSecret);
+        this._deleteOutbox(roomSecret);
     }
 
     _disconnectOrRemoveRoomTypeByRoomId(roomType, roomId) {
@@ -1241,7 +2481,9 @@ class PeersManager {
             .then(_ => {
                 console.log("successfully regenerated room secret");
                 Events.fire("room-secrets", [message.newRoomSecret]);
+                return PersistentStorage.updateOutboxRoomSecret(message.oldRoomSecret, message.newRoomSecret);
             })
+            .catch(e => console.error(e))
     }
 
     _notifyPeersDisplayNameChanged(newDisplayName) {
@@ -1271,6 +2513,14 @@ class PeersManager {
         this.peers[peerId]._setAutoAccept(autoAccept);
     }
 
+    _onAutoAcceptRulesUpdated(roomSecret, autoAcceptRules) {
+        const peerId = this._getPeerIdsFromRoomId(roomSecret)[0];
+
+        if (!peerId) return;
+
+        this.peers[peerId]._setAutoAcceptRules(autoAcceptRules);
+    }
+
     _getPeerIdsFromRoomId(roomId) {
         if (!roomId) return [];
 
@@ -1287,47 +2537,113 @@ class PeersManager {
     }
 }
 
+class TransferRateMeter {
+
+    constructor(windowDuration = 5000) {
+        // rate is averaged over the samples of the last five seconds
+        this._windowDuration = windowDuration;
+        this._samples = [];
+    }
+
+    addSample(bytesDone) {
+        const now = Date.now();
+        const lastSample = this._samples[this._samples.length - 1];
+
+        // a new transfer has started
+        if (lastSample && bytesDone < lastSample.bytesDone) this._samples = [];
+
+        this._samples.push({ time: now, bytesDone: bytesDone });
+
+        while (this._samples.length > 2 && now - this._samples[0].time > this._windowDuration) {
+            this._samples.shift();
+        }
+    }
+
+    get bytesPerSecond() {
+        if (this._samples.length < 2) return 0;
+
+        const firstSample = this._samples[0];
+        const lastSample = this._samples[this._samples.length - 1];
+        const duration = lastSample.time - firstSample.time;
+
+        if (!duration) return 0;
+
+        return (lastSample.bytesDone - firstSample.bytesDone) * 1000 / duration;
+    }
+}
+
 class FileChunker {
 
-    constructor(file, onChunk, onPartitionEnd) {
-        this._chunkSize = 64000; // 64 KB
+    // maxPartitionsInFlight: partitions sent before waiting for an acknowledgement
+    constructor(file, onChunk, onPartitionEnd, onFileEnd, offset = 0, chunkSize = 64000, maxPartitionsInFlight = 8) {
+        this._chunkSize = chunkSize;
         this._maxPartitionSize = 1e6; // 1 MB
-        this._offset = 0;
+        this._maxPartitionsInFlight = maxPartitionsInFlight;
+        this._offset = offset;
         this._partitionSize = 0;
+        this._partitionsInFlight = 0;
+        this._waitingForAcknowledgement = false;
         this._file = file;
         this._onChunk = onChunk;
         this._onPartitionEnd = onPartitionEnd;
+        this._onFileEnd = onFileEnd;
         this._reader = new FileReader();
         this._reader.addEventListener('load', e => this._onChunkRead(e.target.result));
     }
 
     nextPartition() {
+        if (this._canceled) return;
         this._partitionSize = 0;
         this._readChunk();
     }
 
+    partitionAcknowledged() {
+        if (this._partitionsInFlight > 0) this._partitionsInFlight--;
+
+        if (!this._waitingForAcknowledgement || this.isFileEnd()) return;
+
+        this._waitingForAcknowledgement = false;
+        this.nextPartition();
+    }
+
+    cancel() {
+        this._canceled = true;
+    }
+
     _readChunk() {
         const chunk = this._file.slice(this._offset, this._offset + this._chunkSize);
         this._reader.readAsArrayBuffer(chunk);
     }
 
-    _onChunkRead(chunk) {
+    async _onChunkRead(chunk) {
+        if (this._canceled) return;
         this._offset += chunk.byteLength;
         this._partitionSize += chunk.byteLength;
-        this._onChunk(chunk);
-        if (this.isFileEnd()) return;
+
+        // onChunk may return a promise to signal backpressure
+        await this._onChunk(chunk);
+
+        if (this._canceled) return;
+
+        if (this.isFileEnd()) {
+            this._onFileEnd();
+            return;
+        }
+
         if (this._isPartitionEnd()) {
+            this._partitionsInFlight++;
             this._onPartitionEnd(this._offset);
-            return;
+
+            // keep sending until the window of unacknowledged partitions is full
+            if (this._partitionsInFlight >= this._maxPartitionsInFlight) {
+                this._waitingForAcknowledgement = true;
+                return;
+            }
+            this._partitionSize = 0;
         }
         this._readChunk();
     }
 
-    repeatPartition() {
-        this._offset -= this._partitionSize;
-        this.nextPartition();
-    }
-
     _isPartitionEnd() {
         return this._partitionSize >= this._maxPartitionSize;
     }
@@ -1337,32 +2653,571 @@ class FileChunker {
     }
 }
 
+// Sends a stream of unknown size, e.g. a file that is compressed on the fly, in chunks of a fixed size
+class StreamChunker extends FileChunker {
+
+    constructor(stream, onChunk, onPartitionEnd, onFileEnd, chunkSize = 64000) {
+        super(null, onChunk, onPartitionEnd, onFileEnd, 0, chunkSize);
+        this._streamReader = stream.getReader();
+        this._buffered = [];
+        this._bufferedSize = 0;
+        this._streamEnded = false;
+    }
+
+    async _readChunk() {
+        try {
+            while (this._bufferedSize < this._chunkSize && !this._streamEnded) {
+                const { done, value } = await this._streamReader.read();
+                if (done) {
+                    this._streamEnded = true;
+                }
+                else {
+                    this._buffered.push(value);
+                    this._bufferedSize += value.byteLength;
+                }
+            }
+        }
+        catch (e) {
+            console.error(e);
+            return;
+        }
+
+        if (this._canceled) return;
+
+        // the size of the stream is a multiple of the chunk size
+        if (!this._bufferedSize) {
+            this._onFileEnd();
+            return;
+        }
+
+        this._onChunkRead(this._takeChunk());
+    }
+
+    _takeChunk() {
+        const chunk = new Uint8Array(Math.min(this._chunkSize, this._bufferedSize));
+
+        let chunkOffset = 0;
+        while (chunkOffset < chunk.byteLength) {
+            const data = this._buffered[0];
+            const length = Math.min(data.byteLength, chunk.byteLength - chunkOffset);
+            chunk.set(data.subarray(0, length), chunkOffset);
+            chunkOffset += length;
+
+            if (length < data.byteLength) {
+                this._buffered[0] = data.subarray(length);
+            }
+            else {
+                this._buffered.shift();
+            }
+        }
+
+        this._bufferedSize -= chunk.byteLength;
+        return chunk.buffer;
+    }
+
+    cancel() {
+        super.cancel();
+        this._streamReader.cancel().catch(_ => {});
+    }
+
+    isFileEnd() {
+        return this._streamEnded && !this._bufferedSize;
+    }
+}
+
 class FileDigester {
 
-    constructor(meta, totalSize, totalBytesReceived, callback) {
-        this._buffer = [];
+    constructor(meta, totalSize, totalBytesReceived, callback, errorCallback, sink = new MemoryFileSink(meta)) {
         this._bytesReceived = 0;
         this._size = meta.size;
+
+        // compressed files are decompressed on the fly. Their end is marked by the sender as their size is unknown.
+        this._compression = meta.compression;
+        this._bytesDecompressed = 0;
+
         this._name = meta.name;
         this._mime = meta.mime;
         this._totalSize = totalSize;
         this._totalBytesReceived = totalBytesReceived;
         this._callback = callback;
+        this._errorCallback = errorCallback;
+        this._sink = sink;
+        this._writing = Promise.resolve();
+
+        // the digest of the sender is transmitted at the end of the file. Older clients do not transmit a digest.
+        this._sha256 = meta.verify ? new SHA256() : null;
+        this._expectedSha256 = null;
+
+        if (this._compression) this._initDecompression();
+    }
+
+    get bytesReceived() {
+        return this._bytesReceived;
+    }
+
+    // received bytes in relation to the size of the original file
+    get bytesDone() {
+        return this._compression
+            ? this._bytesDecompressed
+            : this._bytesReceived;
+    }
+
+    get compressed() {
+        return !!this._compression;
+    }
+
+    _initDecompression() {
+        const decompressor = new DecompressionStream(this._compression);
+        this._decompressorWriter = decompressor.writable.getWriter();
+        this._decompressing = this._readDecompressed(decompressor.readable.getReader());
+    }
+
+    async _readDecompressed(reader) {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) return;
+            this._bytesDecompressed += value.byteLength;
+            this._digest(value);
+        }
+    }
+
+    get name() {
+        return this._name;
+    }
+
+    setCallbacks(callback, errorCallback) {
+        this._callback = callback;
+        this._errorCallback = errorCallback;
     }
 
     unchunk(chunk) {
-        this._buffer.push(chunk);
         this._bytesReceived += chunk.byteLength || chunk.size;
-        this.progress = (this._totalBytesReceived + this._bytesReceived) / this._totalSize;
+        this.progress = (this._totalBytesReceived + this.bytesDone) / this._totalSize;
         if (isNaN(this.progress)) this.progress = 1
 
-        if (this._bytesReceived < this._size) return;
+        if (this._compression) {
+            // errors surface when the decompressed data is read
+            this._decompressorWriter.write(chunk).catch(_ => {});
+            return;
+        }
+
+        this._digest(chunk);
+
+        // wait for the digest of the sender
+        if (this._bytesReceived < this._size || this._sha256) return;
         // we are done
-        const blob = new Blob(this._buffer)
+        this._finish();
+    }
+
+    // called when the sender marks the end of a file that is compressed or verified
+    end(sha256) {
+        if (this._ended || (!this._compression && !this._sha256)) return;
+
+        this._ended = true;
+        this._expectedSha256 = sha256;
+        this._finish();
+    }
+
+    _digest(data) {
+        if (this._sha256) this._sha256.update(data);
+
+        // chunks are written in the order they arrive
+        this._writing = this._writing.then(_ => this._sink.write(data));
+    }
+
+    async _finish() {
+        try {
+            if (this._compression) {
+                // errors surface when the decompressed data is read
+                await this._decompressorWriter.close().catch(_ => {});
+                await this._decompressing;
+            }
+
+            const integrityError = !!this._sha256 && this._sha256.digest() !== this._expectedSha256;
+
+            await this._writing;
+            const file = await this._sink.close();
+            this._callback(file, integrityError);
+        }
+        catch (e) {
+            this._onError(e);
+        }
+    }
+
+    abort() {
+        if (this._decompressorWriter) this._decompressorWriter.abort().catch(_ => {});
+        this._sink.abort();
+    }
+
+    _onError(error) {
+        console.error(error);
+        this._sink.abort();
+        this._errorCallback(error);
+    }
+}
+
+class FileSink {
+
+    // Below this size, received files are held in memory to be able to preview, share and zip them
+    static get streamingThreshold() {
+        return 100 * 1024 * 1024; // 100 MB
+    }
+
+    static isStreamingSupported() {
+        return FileSystemFileSink.isSupported() || ServiceWorkerFileSink.isSupported();
+    }
+
+    static async chooseSaveTarget(request, userActivation = true, peerDisplayName = "") {
+        // files are written to the auto-save folder regardless of their size
+        const autoSaveTarget = await AutoSave.getSaveTarget(userActivation, peerDisplayName);
+        if (autoSaveTarget) return autoSaveTarget;
+
+        if (request.totalSize < FileSink.streamingThreshold) return null;
+
+        // file pickers can only be opened on user interaction
+        if (userActivation && FileSystemFileSink.isSupported()) {
+            if (request.header.length === 1) {
+                const fileHandle = await window.showSaveFilePicker({ suggestedName: request.header[0].name });
+                return { type: 'file', handle: fileHandle };
+            }
+
+            const directoryHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
+            return { type: 'directory', handle: directoryHandle };
+        }
+
+        if (ServiceWorkerFileSink.isSupported()) {
+            return { type: 'service-worker' };
+        }
+
+        return null;
+    }
+
+    static create(saveTarget, meta) {
+        if (!saveTarget) return new MemoryFileSink(meta);
+
+        switch (saveTarget.type) {
+            case 'file':
+                return new FileSystemFileSink(meta, Promise.resolve({ fileHandle: saveTarget.handle }), saveTarget.handle.name);
+            case 'directory':
+                return new FileSystemFileSink(meta,
+                    FileSystemFileSink.getFileHandle(saveTarget.handle, meta.path || meta.name, saveTarget.autoSave),
+                    saveTarget.name || saveTarget.handle.name);
+            case 'service-worker':
+                return new ServiceWorkerFileSink(meta);
+            default:
+                return new MemoryFileSink(meta);
+        }
+    }
+
+    constructor(meta) {
+        this._name = meta.name;
+        this._mime = meta.mime || "application/octet-stream";
+        this._relativePath = meta.path;
+        this._bytesWritten = 0;
+    }
+
+    // Files that were written to disk directly are represented by their metadata only
+    _getSavedFile(location) {
+        return {
+            name: this._name,
+            type: this._mime,
+            size: this._bytesWritten,
+            relativePath: this._relativePath,
+            savedTo: location
+        };
+    }
+}
+
+class MemoryFileSink extends FileSink {
+
+    constructor(meta) {
+        super(meta);
+        this._buffer = [];
+    }
+
+    async write(chunk) {
+        this._buffer.push(chunk);
+        this._bytesWritten += chunk.byteLength || chunk.size;
+    }
+
+    async close() {
+        const blob = new Blob(this._buffer);
         this._buffer = null;
-        this._callback(new File([blob], this._name, {
-            type: this._mime || "application/octet-stream",
+        const file = new File([blob], this._name, {
+            type: this._mime,
             lastModified: new Date().getTime()
-        }));
+        });
+        if (this._relativePath) file.relativePath = this._relativePath;
+        return file;
+    }
+
+    async abort() {
+        this._buffer = null;
+    }
+}
+
+class FileSystemFileSink extends FileSink {
+
+    static isSupported() {
+        return !!window.showSaveFilePicker && !!window.showDirectoryPicker;
+    }
+
+    // Creates the file and all directories on its path inside the chosen directory
+    static async getFileHandle(directoryHandle, path, avoidConflicts = false) {
+        const segments = path.split('/');
+        let name = segments.pop();
+        for (let i = 0; i < segments.length; i++) {
+            directoryHandle = await directoryHandle.getDirectoryHandle(segments[i], { create: true });
+        }
+        if (avoidConflicts) {
+            name = await FileSystemFileSink._getAvailableFileName(directoryHandle, name);
+        }
+        const fileHandle = await directoryHandle.getFileHandle(name, { create: true });
+        return { fileHandle: fileHandle, directoryHandle: directoryHandle, path: [...segments, name].join('/') };
+    }
+
+    // Appends ' (1)', ' (2)', ... to the stem of the file name until no entry of that name exists
+    static async _getAvailableFileName(directoryHandle, name) {
+        const extensionIndex = name.lastIndexOf('.');
+        const stem = extensionIndex > 0 ? name.substring(0, extensionIndex) : name;
+        const extension = extensionIndex > 0 ? name.substring(extensionIndex) : '';
+
+        let availableName = name;
+        for (let i = 1; await FileSystemFileSink._entryExists(directoryHandle, availableName); i++) {
+            availableName = `${stem} (${i})${extension}`;
+        }
+        return availableName;
+    }
+
+    static async _entryExists(directoryHandle, name) {
+        try {
+            await directoryHandle.getFileHandle(name);
+            return true;
+        }
+        catch (e) {
+            if (e.name === 'NotFoundError') return false;
+            // a directory of that name exists
+            if (e.name === 'TypeMismatchError') return true;
+            throw e;
+        }
+    }
+
+    constructor(meta, handlesPromise, location) {
+        super(meta);
+        this._location = location;
+        this._writable = handlesPromise
+            .then(handles => {
+                this._fileHandle = handles.fileHandle;
+                this._directoryHandle = handles.directoryHandle;
+                // files saved into a directory are located by their path inside of it
+                if (handles.path) this._location = `${location}/${handles.path}`;
+                return this._fileHandle.createWritable();
+            });
+    }
+
+    async write(chunk) {
+        const writable = await this._writable;
+        await writable.write(chunk);
+        this._bytesWritten += chunk.byteLength || chunk.size;
+    }
+
+    async close() {
+        const writable = await this._writable;
+        await writable.close();
+        return this._getSavedFile(this._location);
+    }
+
+    async abort() {
+        try {
+            const writable = await this._writable;
+            await writable.abort();
+
+            // remove the empty file created for this transfer
+            if (this._directoryHandle) {
+                await this._directoryHandle.removeEntry(this._fileHandle.name);
+            }
+        }
+        catch (e) {
+            console.error(e);
+        }
+    }
+}
+
+class AutoSave {
+
+    static isSupported() {
+        return FileSystemFileSink.isSupported();
+    }
+
+    static async getDirectory() {
+        try {
+            return await PersistentStorage.get('auto_save_directory');
+        }
+        catch (e) {
+            return null;
+        }
+    }
+
+    static setDirectory(directoryHandle) {
+        return directoryHandle
+            ? PersistentStorage.set('auto_save_directory', directoryHandle)
+            : PersistentStorage.delete('auto_save_directory');
+    }
+
+    // 'none', 'peer' or 'date'
+    static async getSubfolders() {
+        try {
+            return (await PersistentStorage.get('auto_save_subfolders')) || 'none';
+        }
+        catch (e) {
+            return 'none';
+        }
+    }
+
+    static setSubfolders(subfolders) {
+        return PersistentStorage.set('auto_save_subfolders', subfolders);
+    }
+
+    // Returns null if auto-save is not set up or the permission to write to the folder is missing
+    static async getSaveTarget(userActivation, peerDisplayName) {
+        if (!AutoSave.isSupported()) return null;
+
+        const directoryHandle = await AutoSave.getDirectory();
+        if (!directoryHandle) return null;
+
+        try {
+            const permitted = await AutoSave.verifyPermission(directoryHandle, userActivation);
+            if (!permitted) return null;
+
+            const subfolderName = AutoSave._getSubfolderName(await AutoSave.getSubfolders(), peerDisplayName);
+            if (!subfolderName) {
+                return { type: 'directory', handle: directoryHandle, autoSave: true };
+            }
+
+            const subfolderHandle = await directoryHandle.getDirectoryHandle(subfolderName, { create: true });
+            return { type: 'directory', handle: subfolderHandle, name: `${directoryHandle.name}/${subfolderName}`, autoSave: true };
+        }
+        catch (e) {
+            // e.g. the folder was deleted -> fall back to downloading the files
+            console.error(e);
+            return null;
+        }
+    }
+
+    // The permission is only kept for the session. It can only be requested again on user interaction
+    static async verifyPermission(directoryHandle, userActivation) {
+        const options = { mode: 'readwrite' };
+        if (await directoryHandle.queryPermission(options) === 'granted') return true;
+        if (!userActivation) return false;
+        return await directoryHandle.requestPermission(options) === 'granted';
+    }
+
+    static _getSubfolderName(subfolders, peerDisplayName) {
+        switch (subfolders) {
+            case 'peer':
+                return sanitizeRelativePath((peerDisplayName || "").replace(/[\\/]/g, '_'));
+            case 'date': {
+                const date = new Date();
+                const month = (date.getMonth() + 1).toString().padStart(2, '0');
+                const day = date.getDate().toString().padStart(2, '0');
+                return `${date.getFullYear()}-${month}-${day}`;
+            }
+            default:
+                return '';
+        }
+    }
+}
+
+class ServiceWorkerFileSink extends FileSink {
+
+    // The service worker answers a download request with a stream that is fed chunk by chunk via a MessageChannel
+    static isSupported() {
+        return !!navigator.serviceWorker && !!navigator.serviceWorker.controller && !!window.ReadableStream;
+    }
+
+    constructor(meta) {
+        super(meta);
+        this._channel = new MessageChannel();
+
+        // the service worker requests every chunk when the download can take it
+        this._chunksRequested = 0;
+        this._onChunkRequested = null;
+
+        this._ready = new Promise((resolve, reject) => {
+            this._channel.port1.onmessage = e => {
+                switch (e.data.type) {
+                    case 'download-stream-ready':
+                        this._startDownload(e.data.url);
+                        resolve();
+                        break;
+                    case 'download-stream-pull':
+                        this._chunksRequested++;
+                        this._notifyChunkRequested();
+                        break;
+                    case 'download-stream-canceled':
+                        this._canceled = true;
+                        reject(new Error("Download was canceled"));
+                        this._notifyChunkRequested();
+                        break;
+                }
+            };
+        });
+        // the rejection is handled by the next write
+        this._ready.catch(_ => {});
+
+        navigator.serviceWorker.controller.postMessage({
+            type: 'download-stream',
+            name: this._name,
+            mime: this._mime,
+            size: meta.size
+        }, [this._channel.port2]);
+    }
+
+    _startDownload(url) {
+        this._$iframe = document.createElement('iframe');
+        this._$iframe.hidden = true;
+        this._$iframe.src = url;
+        document.body.appendChild(this._$iframe);
+    }
+
+    _notifyChunkRequested() {
+        if (!this._onChunkRequested) return;
+
+        this._onChunkRequested();
+        this._onChunkRequested = null;
+    }
+
+    async write(chunk) {
+        await this._ready;
+
+        // backpressure: wait until the download has consumed the previous chunks
+        if (!this._chunksRequested && !this._canceled) {
+            await new Promise(resolve => this._onChunkRequested = resolve);
+        }
+
+        if (this._canceled) throw new Error("Download was canceled");
+
+        this._chunksRequested--;
+        this._channel.port1.postMessage(chunk);
+        this._bytesWritten += chunk.byteLength || chunk.size;
+    }
+
+    async close() {
+        await this._ready;
+        this._channel.port1.postMessage({ done: true });
+        this._removeIframe();
+        return this._getSavedFile(Localization.getTranslation("dialogs.downloads-folder"));
+    }
+
+    async abort() {
+        this._channel.port1.postMessage({ abort: true });
+        this._removeIframe();
+    }
+
+    _removeIframe() {
+        // wait for the browser to take over the download
+        setTimeout(() => {
+            if (this._$iframe) this._$iframe.remove();
+        }, 10000);
     }
 }
@@ -4,7 +4,7 @@ class PersistentStorage {
             PersistentStorage.logBrowserNotCapable();
             return;
         }
-        const DBOpenRequest = window.indexedDB.open('pairdrop_store', 5);
+        const DBOpenRequest = window.indexedDB.open('pairdrop_store', 7);
         DBOpenRequest.onerror = e => {
             PersistentStorage.logBrowserNotCapable();
             console.log('Error initializing database: ');
@@ -42,6 +42,18 @@ class PersistentStorage {
                 roomSecretsObjectStore4.createIndex('display_name', 'display_name');
                 roomSecretsObjectStore4.createIndex('auto_accept', 'auto_accept');
             }
+            if (e.oldVersion <= 5) {
+                // migrate to v6
+                let transferHistoryObjectStore6 = db.createObjectStore('transfer_history', {autoIncrement: true});
+                transferHistoryObjectStore6.createIndex('time', 'time');
+            }
+            if (e.oldVersion <= 6) {
+                // migrate to v7
+                let outboxObjectStore7 = db.createObjectStore('outbox', {autoIncrement: true});
+                outboxObjectStore7.createIndex('room_secret', 'room_secret');
+            }
+            // Object stores can only be created before the versionchange transaction finishes.
+            // The migration to v5 awaits requests that only succeed afterward and must therefore run last.
             if (e.oldVersion <= 4) {
                 // migrate to v5
                 const editedDisplayNameOld = await PersistentStorage.get('editedDisplayName');
@@ -125,7 +137,8 @@ class PersistentStorage {
                     'secret': roomSecret,
                     'display_name': displayName,
                     'device_name': deviceName,
-                    'auto_accept': false
+                    'auto_accept': false,
+                    'auto_accept_rules': []
                 });
                 objectStoreRequest.onsuccess = e => {
                     console.log(`Request successful. RoomSecret added: ${e.target.result}`);
@@ -263,7 +276,11 @@ class PersistentStorage {
         return this.updateRoomSecret(roomSecret, undefined, undefined, undefined, autoAccept);
     }
 
-    static updateRoomSecret(roomSecret, updatedRoomSecret = undefined, updatedDisplayName = undefined, updatedDeviceName = undefined, updatedAutoAccept = undefined) {
+    static updateRoomSecretAutoAcceptRules(roomSecret, autoAcceptRules) {
+        return this.updateRoomSecret(roomSecret, undefined, undefined, undefined, undefined, autoAcceptRules);
+    }
+
+    static updateRoomSecret(roomSecret, updatedRoomSecret = undefined, updatedDisplayName = undefined, updatedDeviceName = undefined, updatedAutoAccept = undefined, updatedAutoAcceptRules = undefined) {
         return new Promise((resolve, reject) => {
             const DBOpenRequest = window.indexedDB.open('pairdrop_store');
             DBOpenRequest.onsuccess = e => {
@@ -281,7 +298,8 @@ class PersistentStorage {
                             'secret': updatedRoomSecret !== undefined ? updatedRoomSecret : roomSecretEntry.entry.secret,
                             'display_name': updatedDisplayName !== undefined ? updatedDisplayName : roomSecretEntry.entry.display_name,
                             'device_name': updatedDeviceName !== undefined ? updatedDeviceName : roomSecretEntry.entry.device_name,
-                            'auto_accept': updatedAutoAccept !== undefined ? updatedAutoAccept : roomSecretEntry.entry.auto_accept
+                            'auto_accept': updatedAutoAccept !== undefined ? updatedAutoAccept : roomSecretEntry.entry.auto_accept,
+                            'auto_accept_rules': updatedAutoAcceptRules !== undefined ? updatedAutoAcceptRules : (roomSecretEntry.entry.auto_accept_rules || [])
                         };
 
                         const objectStoreRequestUpdate = objectStore.put(updatedRoomSecretEntry, roomSecretEntry.key);
@@ -304,4 +322,236 @@ class PersistentStorage {
             DBOpenRequest.onerror = e => reject(e);
         })
     }
-}
\ No newline at end of file
+
+    static addTransferHistoryEntry(entry) {
+        return new Promise((resolve, reject) => {
+            const DBOpenRequest = window.indexedDB.open('pairdrop_store');
+            DBOpenRequest.onsuccess = e => {
+                const db = e.target.result;
+                const transaction = db.transaction('transfer_history', 'readwrite');
+                const objectStore = transaction.objectStore('transfer_history');
+                const objectStoreRequest = objectStore.add(entry);
+                objectStoreRequest.onsuccess = e => {
+                    console.log(`Request successful. Transfer history entry added: ${e.target.result}`);
+                    resolve(e.target.result);
+                }
+                objectStoreRequest.onerror = e => {
+                    reject(e);
+                }
+            }
+            DBOpenRequest.onerror = e => {
+                reject(e);
+            }
+        })
+    }
+
+    static getAllTransferHistoryEntries() {
+        return new Promise((resolve, reject) => {
+            const DBOpenRequest = window.indexedDB.open('pairdrop_store');
+            DBOpenRequest.onsuccess = e => {
+                const db = e.target.result;
+                const transaction = db.transaction('transfer_history', 'readonly');
+                const objectStore = transaction.objectStore('transfer_history');
+                // newest entries first
+                const objectStoreRequest = objectStore.index('time').openCursor(null, 'prev');
+                let transferHistoryEntries = [];
+                objectStoreRequest.onsuccess = e => {
+                    const cursor = e.target.result;
+                    if (!cursor) {
+                        console.log(`Request successful. Retrieved ${transferHistoryEntries.length} transfer history entries`);
+                        resolve(transferHistoryEntries);
+                        return;
+                    }
+                    transferHistoryEntries.push({
+                        "entry": cursor.value,
+                        "key": cursor.primaryKey
+                    });
+                    cursor.continue();
+                }
+                objectStoreRequest.onerror = e => {
+                    reject(e);
+                }
+            }
+            DBOpenRequest.onerror = e => {
+                reject(e);
+            }
+        });
+    }
+
+    static updateTransferHistoryEntry(key, entry) {
+        return new Promise((resolve, reject) => {
+            const DBOpenRequest = window.indexedDB.open('pairdrop_store');
+            DBOpenRequest.onsuccess = e => {
+                const db = e.target.result;
+                const transaction = db.transaction('transfer_history', 'readwrite');
+                const objectStore = transaction.objectStore('transfer_history');
+                const objectStoreRequest = objectStore.put(entry, key);
+                objectStoreRequest.onsuccess = _ => {
+                    console.log(`Request successful. Updated transfer history entry: ${key}`);
+                    resolve();
+                }
+                objectStoreRequest.onerror = e => {
+                    reject(e);
+                }
+            }
+            DBOpenRequest.onerror = e => {
+                reject(e);
+            }
+        })
+    }
+
+    static deleteTransferHistoryEntry(key) {
+        return new Promise((resolve, reject) => {
+            const DBOpenRequest = window.indexedDB.open('pairdrop_store');
+            DBOpenRequest.onsuccess = e => {
+                const db = e.target.result;
+                const transaction = db.transaction('transfer_history', 'readwrite');
+                const objectStore = transaction.objectStore('transfer_history');
+                const objectStoreRequest = objectStore.delete(key);
+                objectStoreRequest.onsuccess = _ => {
+                    console.log(`Request successful. Deleted transfer history entry: ${key}`);
+                    resolve();
+                }
+                objectStoreRequest.onerror = e => {
+                    reject(e);
+                }
+            }
+            DBOpenRequest.onerror = e => {
+                reject(e);
+            }
+        })
+    }
+
+    static addOutboxEntry(entry) {
+        return new Promise((resolve, reject) => {
+            const DBOpenRequest = window.indexedDB.open('pairdrop_store');
+            DBOpenRequest.onsuccess = e => {
+                const db = e.target.result;
+                const transaction = db.transaction('outbox', 'readwrite');
+                const objectStore = transaction.objectStore('outbox');
+                const objectStoreRequest = objectStore.add(entry);
+                objectStoreRequest.onsuccess = e => {
+                    console.log(`Request successful. Outbox entry added: ${e.target.result}`);
+                    resolve(e.target.result);
+                }
+                objectStoreRequest.onerror = e => {
+                    reject(e);
+                }
+            }
+            DBOpenRequest.onerror = e => {
+                reject(e);
+            }
+        })
+    }
+
+    static getOutboxEntries(roomSecret) {
+        return new Promise((resolve, reject) => {
+            const DBOpenRequest = window.indexedDB.open('pairdrop_store');
+            DBOpenRequest.onsuccess = e => {
+                const db = e.target.result;
+                const transaction = db.transaction('outbox', 'readonly');
+                const objectStore = transaction.objectStore('outbox');
+                // oldest entries first
+                const objectStoreRequest = objectStore.index('room_secret').openCursor(IDBKeyRange.only(roomSecret));
+                let outboxEntries = [];
+                objectStoreRequest.onsuccess = e => {
+                    const cursor = e.target.result;
+                    if (!cursor) {
+                        console.log(`Request successful. Retrieved ${outboxEntries.length} outbox entries`);
+                        resolve(outboxEntries);
+                        return;
+                    }
+                    outboxEntries.push({
+                        "entry": cursor.value,
+                        "key": cursor.primaryKey
+                    });
+                    cursor.continue();
+                }
+                objectStoreRequest.onerror = e => {
+                    reject(e);
+                }
+            }
+            DBOpenRequest.onerror = e => {
+                reject(e);
+            }
+        });
+    }
+
+    static deleteOutboxEntry(key) {
+        return new Promise((resolve, reject) => {
+            const DBOpenRequest = window.indexedDB.open('pairdrop_store');
+            DBOpenRequest.onsuccess = e => {
+                const db = e.target.result;
+                const transaction = db.transaction('outbox', 'readwrite');
+                const objectStore = transaction.objectStore('outbox');
+                const objectStoreRequest = objectStore.delete(key);
+                objectStoreRequest.onsuccess = _ => {
+                    console.log(`Request successful. Deleted outbox entry: ${key}`);
+                    resolve();
+                }
+                objectStoreRequest.onerror = e => {
+                    reject(e);
+                }
+            }
+            DBOpenRequest.onerror = e => {
+                reject(e);
+            }
+        })
+    }
+
+    static async deleteOutboxEntries(roomSecret) {
+        const outboxEntries = await this.getOutboxEntries(roomSecret);
+        for (let i = 0; i < outboxEntries.length; i++) {
+            await this.deleteOutboxEntry(outboxEntries[i].key);
+        }
+    }
+
+    static async updateOutboxRoomSecret(roomSecret, updatedRoomSecret) {
+        const outboxEntries = await this.getOutboxEntries(roomSecret);
+        for (let i = 0; i < outboxEntries.length; i++) {
+            const entry = Object.assign({}, outboxEntries[i].entry, { 'room_secret': updatedRoomSecret });
+            await this.updateOutboxEntry(outboxEntries[i].key, entry);
+        }
+    }
+
+    static updateOutboxEntry(key, entry) {
+        return new Promise((resolve, reject) => {
+            const DBOpenRequest = window.indexedDB.open('pairdrop_store');
+            DBOpenRequest.onsuccess = e => {
+                const db = e.target.result;
+                const transaction = db.transaction('outbox', 'readwrite');
+                const objectStore = transaction.objectStore('outbox');
+                const objectStoreRequest = objectStore.put(entry, key);
+                objectStoreRequest.onsuccess = _ => {
+                    console.log(`Request successful. Updated outbox entry: ${key}`);
+                    resolve();
+                }
+                objectStoreRequest.onerror = e => {
+                    reject(e);
+                }
+            }
+            DBOpenRequest.onerror = e => {
+                reject(e);
+            }
+        })
+    }
+
+    static clearTransferHistory() {
+        return new Promise((resolve, reject) => {
+            const DBOpenRequest = window.indexedDB.open('pairdrop_store');
+            DBOpenRequest.onsuccess = e => {
+                const db = e.target.result;
+                const transaction = db.transaction('transfer_history', 'readwrite');
+                const objectStore = transaction.objectStore('transfer_history');
+                const objectStoreRequest = objectStore.clear();
+                objectStoreRequest.onsuccess = _ => {
+                    console.log('Request successful. Transfer history cleared');
+                    resolve();
+                };
+            }
+            DBOpenRequest.onerror = e => {
+                reject(e);
+            }
+        })
+    }
+}
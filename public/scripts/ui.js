@@ -5,6 +5,7 @@ class PeersUI {
         this.$xNoPeers = $$('x-no-peers');
         this.$xInstructions = $$('x-instructions');
         this.$wsFallbackWarning = $('websocket-fallback');
+        this.$selectPeersBtn = $('select-peers');
 
         this.$sharePanel = $$('.shr-panel');
         this.$shareModeImageThumb = $$('.shr-panel .image-thumb');
@@ -18,6 +19,7 @@ class PeersUI {
 
         this.peers = {};
         this.printers = {};
+        this.offlinePeers = {};
 
         this.shareMode = {
             active: false,
@@ -28,10 +30,20 @@ class PeersUI {
 
         Events.on('peer-joined', e => this._onPeerJoined(e.detail));
         Events.on('content-added', _ => this._evaluateOverflowingPeers());
-        Events.on('peer-connected', e => this._onPeerConnected(e.detail.peerId, e.detail.connectionHash));
+        Events.on('content-added', _ => this._evaluateSelectPeersBtn());
+        Events.on('peer-connected', e => this._onPeerConnected(e.detail.peerId, e.detail.connectionHash, e.detail.relayed, e.detail.unencrypted));
         Events.on('peer-disconnected', e => this._onPeerDisconnected(e.detail));
         Events.on('peers', e => this._onPeers(e.detail));
         Events.on('set-progress', e => this._onSetProgress(e.detail));
+        Events.on('set-transfer-stats', e => this._onSetTransferStats(e.detail));
+        Events.on('transfer-canceled', _ => NoSleepUI.disable());
+        Events.on('files-selected', _ => this._clearPeerSelection());
+        this.$selectPeersBtn.addEventListener('click', _ => this._onSelectPeersClick());
+        Events.on('files-broadcast-completed', e => this._onFilesBroadcastCompleted(e.detail.results));
+
+        // Paired devices that are offline
+        Events.on('room-secrets-changed', _ => this._evaluateOfflinePeers());
+        Events.on('outbox-updated', e => this._onOutboxUpdated(e.detail.roomSecret));
 
         // Printer events
         Events.on('printers', e => this._onPrinters(e.detail));
@@ -58,6 +70,8 @@ class PeersUI {
         Events.on('peer-display-name-changed', e => this._onPeerDisplayNameChanged(e));
 
         Events.on('ws-config', e => this._evaluateRtcSupport(e.detail))
+
+        this._evaluateOfflinePeers();
     }
 
     _evaluateRtcSupport(wsConfig) {
@@ -85,7 +99,14 @@ class PeersUI {
     }
 
     async _onKeyDown(e) {
-        if (!this.shareMode.active || Dialog.anyDialogShown()) return;
+        if (Dialog.anyDialogShown()) return;
+
+        if (e.key === "Escape" && ($$('x-peer.selected') || this._isSelecting())) {
+            this._clearPeerSelection();
+            return;
+        }
+
+        if (!this.shareMode.active) return;
 
         if (e.key === "Escape") {
             await this._deactivateShareMode();
@@ -117,15 +138,24 @@ class PeersUI {
         this.peers[peer.id] = peer;
     }
 
-    _onPeerConnected(peerId, connectionHash) {
-        if (!this.peers[peerId] || $(peerId)) return;
+    _onPeerConnected(peerId, connectionHash, relayed, unencrypted) {
+        if (!this.peers[peerId]) return;
+
+        if ($(peerId)) {
+            // the connection to this peer switched to the WebSocket fallback
+            if (relayed) $(peerId).ui.setRelayed(connectionHash, unencrypted);
+            return;
+        }
 
         const peer = this.peers[peerId];
 
-        new PeerUI(peer, connectionHash, {
+        const peerUI = new PeerUI(peer, connectionHash, {
             active: this.shareMode.active,
             descriptor: this.shareMode.descriptor,
         });
+        peerUI.setUnencrypted(!!unencrypted);
+
+        this._evaluateOfflinePeers();
     }
 
     _redrawPeerRoomTypes(peerId) {
@@ -162,12 +192,110 @@ class PeersUI {
         if (!$peer) return;
         $peer.remove();
         this._evaluateOverflowingPeers();
+        this._evaluateSelectPeersBtn();
 
         // If no peer is shown -> start background animation again
         if ($$('x-peers:empty')) {
             Events.fire('background-animation', { animate: true });
         }
 
+        this._evaluateOfflinePeers();
+    }
+
+    // Paired devices that are not connected are shown as targets for the outbox
+    async _evaluateOfflinePeers() {
+        let roomSecretsEntries;
+        try {
+            roomSecretsEntries = await PersistentStorage.getAllRoomSecretEntries();
+        }
+        catch (e) {
+            return;
+        }
+
+        const onlineRoomSecrets = Object.values(this.peers)
+            .filter(peer => $(peer.id))
+            .map(peer => peer._roomIds['secret']);
+        const offlineEntries = roomSecretsEntries.filter(entry => !onlineRoomSecrets.includes(entry.secret));
+        const offlineRoomSecrets = offlineEntries.map(entry => entry.secret);
+
+        for (const roomSecret in this.offlinePeers) {
+            if (offlineRoomSecrets.includes(roomSecret)) continue;
+
+            this.offlinePeers[roomSecret].remove();
+            delete this.offlinePeers[roomSecret];
+        }
+
+        offlineEntries.forEach(entry => {
+            if (this.offlinePeers[entry.secret]) return;
+
+            this.offlinePeers[entry.secret] = new OfflinePeerUI(entry);
+        });
+
+        this._evaluateOverflowingPeers();
+    }
+
+    _onOutboxUpdated(roomSecret) {
+        const offlinePeer = this.offlinePeers[roomSecret];
+        if (!offlinePeer) return;
+
+        offlinePeer.refreshOutbox();
+    }
+
+    _clearPeerSelection() {
+        document.querySelectorAll('x-peer.selected').forEach($peer => $peer.classList.remove('selected'));
+        this._setSelecting(false);
+    }
+
+    _evaluateSelectPeersBtn() {
+        if (document.querySelectorAll('x-peers > x-peer').length > 1) {
+            this.$selectPeersBtn.removeAttribute('hidden');
+        }
+        else {
+            this.$selectPeersBtn.setAttribute('hidden', true);
+            this._clearPeerSelection();
+        }
+    }
+
+    _isSelecting() {
+        return this.$xPeers.classList.contains('selecting');
+    }
+
+    _setSelecting(selecting) {
+        this.$xPeers.classList.toggle('selecting', selecting);
+        this.$selectPeersBtn.classList.toggle('active', selecting);
+    }
+
+    // Touch devices have no modifier keys: peers are selected by tapping them while selecting is active
+    _onSelectPeersClick() {
+        if (!this._isSelecting()) {
+            this._setSelecting(true);
+            Events.fire('notify-user', Localization.getTranslation("notifications.select-peers"));
+            return;
+        }
+
+        this._setSelecting(false);
+
+        const $selectedPeer = $$('x-peer.selected');
+        if (!$selectedPeer) return;
+
+        $selectedPeer.ui.sendToSelectedPeers();
+    }
+
+    _onFilesBroadcastCompleted(results) {
+        const namesByResult = { accepted: [], declined: [], failed: [] };
+
+        for (const peerId in results) {
+            const peer = this.peers[peerId];
+            const name = peer ? peer.name.displayName : peerId;
+            namesByResult[results[peerId]].push(name);
+        }
+
+        const summary = Object.keys(namesByResult)
+            .filter(result => namesByResult[result].length)
+            .map(result => Localization.getTranslation(`notifications.broadcast-${result}`, null, { names: namesByResult[result].join(', ') }))
+            .join(' · ');
+
+        Events.fire('notify-user', summary);
     }
 
     _onRoomTypeRemoved(peerId, roomType) {
@@ -183,7 +311,13 @@ class PeersUI {
     _onSetProgress(progress) {
         const $peer = $(progress.peerId);
         if (!$peer) return;
-        $peer.ui.setProgress(progress.progress, progress.status)
+        $peer.ui.setProgress(progress.progress, progress.status, progress.queuePosition)
+    }
+
+    _onSetTransferStats(transferStats) {
+        const $peer = $(transferStats.peerId);
+        if (!$peer) return;
+        $peer.ui.setTransferStats(transferStats);
     }
 
     _onDrop(e) {
@@ -194,17 +328,18 @@ class PeersUI {
         this._onDragEnd();
 
         if ($$('x-peer') && $$('x-peer').contains(e.target)) return; // dropped on peer
+        if (e.target.closest('x-offline-peer')) return; // dropped on offline peer
 
-        let files = e.dataTransfer.files;
         let text = e.dataTransfer.getData("text");
 
-        // convert FileList to Array
-        files = [...files];
-
-        if (files.length > 0) {
-            Events.fire('activate-share-mode', {
-                files: files
-            });
+        if (e.dataTransfer.files.length > 0) {
+            getFilesFromDataTransfer(e.dataTransfer)
+                .then(files => {
+                    Events.fire('activate-share-mode', {
+                        files: files
+                    });
+                })
+                .catch(e => console.error(e));
         }
         else if (text.length > 0) {
             Events.fire('activate-share-mode', {
@@ -399,7 +534,7 @@ class PeersUI {
         if (files.length > 0) {
             Events.fire('files-selected', {
                 files: files,
-                to: peerId
+                to: e.detail.recipients
             });
         }
         else if (text.length > 0) {
@@ -453,8 +588,7 @@ class PeerUI {
         this.$xPeers = $$('x-peers');
 
         this._peer = peer;
-        this._connectionHash =
-            `${connectionHash.substring(0, 4)} ${connectionHash.substring(4, 8)} ${connectionHash.substring(8, 12)} ${connectionHash.substring(12, 16)}`;
+        this._setConnectionHash(connectionHash);
 
         // This is needed if the ShareMode is started BEFORE the PeerUI is drawn.
         this._shareMode = shareMode;
@@ -493,10 +627,19 @@ class PeerUI {
                   <div class="circle"></div>
                   <div class="circle right"></div>
                 </div>
+                <div class="icon-button cancel-transfer" title="${Localization.getTranslation("peer-ui.cancel-transfer")}">
+                    <svg class="icon"><use xlink:href="#close-icon"/></svg>
+                </div>
+                <div class="icon-button show-diagnostics" title="${Localization.getTranslation("peer-ui.show-diagnostics")}">
+                    <svg class="icon"><use xlink:href="#info-outline"/></svg>
+                </div>
                 <div class="device-descriptor">
                     <div class="name font-subheading"></div>
                     <div class="device-name font-body2"></div>
+                    <div class="relayed font-body2"></div>
+                    <div class="unencrypted font-body2"></div>
                     <div class="status font-body2"></div>
+                    <div class="transfer-stats font-body2"></div>
                 </div>
             </label>`;
 
@@ -504,8 +647,59 @@ class PeerUI {
         this.$el.querySelector('.name').textContent = this._displayName();
         this.$el.querySelector('.device-name').textContent = this._deviceName();
 
+        const $relayed = this.$el.querySelector('.relayed');
+        $relayed.textContent = Localization.getTranslation("peer-ui.relayed");
+        $relayed.title = Localization.getTranslation("peer-ui.relayed-description");
+
+        const $unencrypted = this.$el.querySelector('.unencrypted');
+        $unencrypted.textContent = Localization.getTranslation("peer-ui.unencrypted");
+        $unencrypted.title = Localization.getTranslation("peer-ui.unencrypted-description");
+
         this.$label = this.$el.querySelector('label');
         this.$input = this.$el.querySelector('input');
+        this.$cancelTransferBtn = this.$el.querySelector('.cancel-transfer');
+        this.$showDiagnosticsBtn = this.$el.querySelector('.show-diagnostics');
+        this.$transferStats = this.$el.querySelector('.transfer-stats');
+
+        // prevent the file input and the listeners of the peer from being triggered
+        ['pointerdown', 'touchstart', 'touchend'].forEach(type => {
+            this.$cancelTransferBtn.addEventListener(type, e => e.stopPropagation());
+            this.$showDiagnosticsBtn.addEventListener(type, e => e.stopPropagation());
+        });
+        this.$cancelTransferBtn.addEventListener('click', e => this._onCancelTransferClick(e));
+        this.$showDiagnosticsBtn.addEventListener('click', e => this._onShowDiagnosticsClick(e));
+    }
+
+    _onShowDiagnosticsClick(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        Events.fire('show-peer-diagnostics', { peerId: this._peer.id, deviceName: this._displayName() });
+    }
+
+    _setConnectionHash(connectionHash) {
+        this._connectionHash =
+            `${connectionHash.substring(0, 4)} ${connectionHash.substring(4, 8)} ${connectionHash.substring(8, 12)} ${connectionHash.substring(12, 16)}`;
+    }
+
+    setRelayed(connectionHash, unencrypted) {
+        this._setConnectionHash(connectionHash);
+        this.setUnencrypted(!!unencrypted);
+
+        // peers that were connected via the server from the start need no indicator
+        if (this.$el.classList.contains('ws-peer')) return;
+
+        this.$el.classList.add('ws-peer', 'relayed');
+    }
+
+    // messages via the server are sent unencrypted if no keys could be exchanged
+    setUnencrypted(unencrypted) {
+        this.$el.classList.toggle('unencrypted', unencrypted);
+    }
+
+    _onCancelTransferClick(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        Events.fire('cancel-transfer', { peerId: this._peer.id });
     }
 
     addTypesToClassList() {
@@ -558,6 +752,7 @@ class PeerUI {
 
     _createCallbacks() {
         this._callbackInput = e => this._onFilesSelected(e);
+        this._callbackClickSelect = e => this._onClick(e);
         this._callbackClickSleep = _ => NoSleepUI.enable();
         this._callbackTouchStartSleep = _ => NoSleepUI.enable();
         this._callbackDrop = e => this._onDrop(e);
@@ -577,6 +772,7 @@ class PeerUI {
 
             // Add Events Normal Mode
             this.$el.querySelector('input').addEventListener('change', this._callbackInput);
+            this.$el.addEventListener('click', this._callbackClickSelect);
             this.$el.addEventListener('click', this._callbackClickSleep);
             this.$el.addEventListener('touchstart', this._callbackTouchStartSleep);
             this.$el.addEventListener('drop', this._callbackDrop);
@@ -589,6 +785,7 @@ class PeerUI {
         }
         else {
             // Remove Events Normal Mode
+            this.$el.removeEventListener('click', this._callbackClickSelect);
             this.$el.removeEventListener('click', this._callbackClickSleep);
             this.$el.removeEventListener('touchstart', this._callbackTouchStartSleep);
             this.$el.removeEventListener('drop', this._callbackDrop);
@@ -608,11 +805,54 @@ class PeerUI {
         // Prevents triggering of event twice on touch devices
         e.stopPropagation();
         e.preventDefault();
+
+        if (this._isSelectionClick(e)) {
+            this._toggleSelected();
+            return;
+        }
+
         Events.fire('share-mode-pointerdown', {
-            peerId: this._peer.id
+            peerId: this._peer.id,
+            recipients: this._recipients()
         });
     }
 
+    _onClick(e) {
+        if (!this._isSelectionClick(e)) return;
+
+        // prevent the file input from opening
+        e.preventDefault();
+        this._toggleSelected();
+    }
+
+    _isSelectionClick(e) {
+        return e.shiftKey || e.ctrlKey || e.metaKey || this.$xPeers.classList.contains('selecting');
+    }
+
+    // opens the file selection or sends the shared content to all selected peers
+    sendToSelectedPeers() {
+        if (this._shareMode.active) {
+            Events.fire('share-mode-pointerdown', {
+                peerId: this._peer.id,
+                recipients: this._recipients()
+            });
+            return;
+        }
+
+        this.$input.click();
+    }
+
+    _toggleSelected() {
+        this.$el.classList.toggle('selected');
+    }
+
+    _recipients() {
+        // files dropped on a selected peer are sent to all selected peers
+        if (!this.$el.classList.contains('selected')) return this._peer.id;
+
+        return [...document.querySelectorAll('x-peer.selected')].map($peer => $peer.id);
+    }
+
     _displayName() {
         return this._peer.name.displayName;
     }
@@ -649,12 +889,12 @@ class PeerUI {
 
         Events.fire('files-selected', {
             files: files,
-            to: this._peer.id
+            to: this._recipients()
         });
         $input.files = null; // reset input
     }
 
-    setProgress(progress, status) {
+    setProgress(progress, status, queuePosition = 0) {
         const $progress = this.$el.querySelector('.progress');
         if (0.5 < progress && progress < 1) {
             $progress.classList.add('over50');
@@ -663,22 +903,26 @@ class PeerUI {
             $progress.classList.remove('over50');
         }
         if (progress < 1) {
-            if (status !== this.currentStatus) {
+            if (status !== this.currentStatus || queuePosition !== this.currentQueuePosition) {
                 let statusName = {
                     "prepare": Localization.getTranslation("peer-ui.preparing"),
                     "transfer": Localization.getTranslation("peer-ui.transferring"),
                     "process": Localization.getTranslation("peer-ui.processing"),
-                    "wait": Localization.getTranslation("peer-ui.waiting")
+                    "wait": Localization.getTranslation("peer-ui.waiting"),
+                    "queued": Localization.getTranslation("peer-ui.queued", null, { position: queuePosition })
                 }[status];
 
                 this.$el.setAttribute('status', status);
                 this.$el.querySelector('.status').innerText = statusName;
                 this.currentStatus = status;
+                this.currentQueuePosition = queuePosition;
             }
         }
         else {
             this.$el.removeAttribute('status');
             this.$el.querySelector('.status').innerHTML = '';
+            this.$transferStats.innerText = '';
+            this.$transferStats.removeAttribute('title');
             progress = 0;
             this.currentStatus = null;
         }
@@ -686,6 +930,21 @@ class PeerUI {
         $progress.style.setProperty('--progress', degrees);
     }
 
+    setTransferStats(transferStats) {
+        let stats = Localization.getTranslation("peer-ui.transfer-speed", null, { speed: formatFileSize(Math.round(transferStats.bytesPerSecond)) });
+        if (transferStats.secondsRemaining !== null) {
+            stats += ` · ${Localization.getTranslation("peer-ui.time-remaining", null, { time: formatDuration(transferStats.secondsRemaining) })}`;
+        }
+
+        this.$transferStats.innerText = stats;
+        this.$transferStats.title = Localization.getTranslation("peer-ui.transfer-details", null, {
+            count: transferStats.filesRemaining,
+            fileName: transferStats.fileName,
+            done: formatFileSize(transferStats.bytesDone),
+            total: formatFileSize(transferStats.bytesTotal)
+        });
+    }
+
     _onDrop(e) {
         if (this._shareMode.active || Dialog.anyDialogShown()) return;
 
@@ -694,14 +953,19 @@ class PeerUI {
         this._onDragEnd();
 
         const peerId = this._peer.id;
-        const files = e.dataTransfer.files;
+        const recipients = this._recipients();
         const text = e.dataTransfer.getData("text");
 
-        if (files.length > 0) {
-            Events.fire('files-selected', {
-                files: files,
-                to: peerId
-            });
+        if (e.dataTransfer.files.length > 0) {
+            // dropped folders are sent with their directory structure
+            getFilesFromDataTransfer(e.dataTransfer)
+                .then(files => {
+                    Events.fire('files-selected', {
+                        files: files,
+                        to: recipients
+                    });
+                })
+                .catch(e => console.error(e));
         }
         else if (text.length > 0) {
             Events.fire('send-text', {
@@ -749,6 +1013,149 @@ class PeerUI {
     }
 }
 
+class OfflinePeerUI {
+
+    constructor(roomSecretEntry) {
+        this.$xPeers = $$('x-peers');
+
+        this._roomSecret = roomSecretEntry.secret;
+        this._displayName = roomSecretEntry.display_name;
+        this._deviceName = roomSecretEntry.device_name;
+
+        this._initDom();
+
+        this.$xPeers.appendChild(this.$el);
+        Events.fire('content-added');
+
+        this.refreshOutbox();
+    }
+
+    _initDom() {
+        this.$el = document.createElement('x-offline-peer');
+        this.$el.ui = this;
+        this.$el.classList.add('center');
+
+        this.html();
+        this._bindListeners();
+    }
+
+    html() {
+        this.$el.innerHTML = `
+            <label class="column center pointer" title="${Localization.getTranslation("peer-ui.offline-description")}">
+                <input type="file" multiple/>
+                <x-icon>
+                    <div class="icon-wrapper" shadow="1">
+                        <svg class="icon"><use xlink:href="#desktop-mac"/></svg>
+                    </div>
+                </x-icon>
+                <div class="icon-button clear-outbox" title="${Localization.getTranslation("peer-ui.clear-outbox")}" hidden>
+                    <svg class="icon"><use xlink:href="#close-icon"/></svg>
+                </div>
+                <div class="device-descriptor">
+                    <div class="name font-subheading"></div>
+                    <div class="device-name font-body2"></div>
+                    <div class="status font-body2"></div>
+                </div>
+            </label>`;
+
+        this.$el.querySelector('.name').textContent = this._displayName;
+        this.$el.querySelector('.device-name').textContent = this._deviceName;
+
+        this.$label = this.$el.querySelector('label');
+        this.$input = this.$el.querySelector('input');
+        this.$clearOutboxBtn = this.$el.querySelector('.clear-outbox');
+        this.$status = this.$el.querySelector('.status');
+    }
+
+    _bindListeners() {
+        this.$input.addEventListener('change', e => this._onFilesSelected(e));
+        this.$el.addEventListener('drop', e => this._onDrop(e));
+        this.$el.addEventListener('dragover', e => this._onDragOver(e));
+        this.$el.addEventListener('dragleave', _ => this._onDragEnd());
+        this.$el.addEventListener('dragend', _ => this._onDragEnd());
+
+        // prevent the file input from being triggered
+        this.$clearOutboxBtn.addEventListener('click', e => this._onClearOutboxClick(e));
+    }
+
+    async refreshOutbox() {
+        let outboxEntries = [];
+        try {
+            outboxEntries = await PersistentStorage.getOutboxEntries(this._roomSecret);
+        }
+        catch (e) {
+            console.error(e);
+        }
+
+        const count = outboxEntries.reduce((count, outboxEntry) => count + outboxEntry.entry.files.length, 0);
+
+        if (count === 0) {
+            this.$status.innerText = Localization.getTranslation("peer-ui.offline");
+            this.$clearOutboxBtn.setAttribute('hidden', true);
+        }
+        else {
+            this.$status.innerText = count === 1
+                ? Localization.getTranslation("peer-ui.outbox-queued")
+                : Localization.getTranslation("peer-ui.outbox-queued-plural", null, { count: count });
+            this.$clearOutboxBtn.removeAttribute('hidden');
+        }
+    }
+
+    _queueFiles(files) {
+        Events.fire('outbox-add', {
+            roomSecret: this._roomSecret,
+            files: files
+        });
+    }
+
+    _onFilesSelected(e) {
+        const files = e.target.files;
+
+        if (files.length === 0) return;
+
+        this._queueFiles(files);
+        e.target.files = null; // reset input
+    }
+
+    _onDrop(e) {
+        if (Dialog.anyDialogShown()) return;
+
+        e.preventDefault();
+
+        this._onDragEnd();
+
+        if (e.dataTransfer.files.length === 0) return;
+
+        // dropped folders are sent with their directory structure
+        getFilesFromDataTransfer(e.dataTransfer)
+            .then(files => this._queueFiles(files))
+            .catch(e => console.error(e));
+    }
+
+    _onDragOver(e) {
+        e.preventDefault();
+        this.$el.setAttribute('drop', true);
+    }
+
+    _onDragEnd() {
+        this.$el.removeAttribute('drop');
+    }
+
+    _onClearOutboxClick(e) {
+        e.preventDefault();
+        e.stopPropagation();
+
+        PersistentStorage
+            .deleteOutboxEntries(this._roomSecret)
+            .then(_ => Events.fire('outbox-updated', { roomSecret: this._roomSecret }))
+            .catch(e => console.error(e));
+    }
+
+    remove() {
+        this.$el.remove();
+    }
+}
+
 class PrinterUI {
     constructor(printer) {
         this.$xPeers = $$('x-peers');
@@ -1008,23 +1415,6 @@ class ReceiveDialog extends Dialog {
         this.$receiveTitle = this.$el.querySelector('h2:first-of-type');
     }
 
-    _formatFileSize(bytes) {
-        // 1 GB = 1024 MB = 1024^2 KB = 1024^3 B
-        // 1024^2 = 104876; 1024^3 = 1073741824
-        if (bytes >= 1073741824) {
-            return Math.round(10 * bytes / 1073741824) / 10 + ' GB';
-        }
-        else if (bytes >= 1048576) {
-            return Math.round(bytes / 1048576) + ' MB';
-        }
-        else if (bytes > 1024) {
-            return Math.round(bytes / 1024) + ' KB';
-        }
-        else {
-            return bytes + ' Bytes';
-        }
-    }
-
     _parseFileData(displayName, connectionHash, files, imagesOnly, totalSize, badgeClassName) {
         let fileOther = "";
 
@@ -1048,7 +1438,7 @@ class ReceiveDialog extends Dialog {
             : '';
         this.$fileStem.innerText = fileName.substring(0, fileName.length - fileExtension.length);
         this.$fileExtension.innerText = fileExtension;
-        this.$fileSize.innerText = this._formatFileSize(totalSize);
+        this.$fileSize.innerText = formatFileSize(totalSize);
         this.$displayName.innerText = displayName;
         this.$displayName.title = connectionHash;
         this.$displayName.classList.remove("badge-room-ip", "badge-room-secret", "badge-room-public-id");
@@ -1063,12 +1453,20 @@ class ReceiveFileDialog extends ReceiveDialog {
 
         this.$downloadBtn = this.$el.querySelector('#download-btn');
         this.$shareBtn = this.$el.querySelector('#share-btn');
+        this.$integrityError = this.$el.querySelector('.file-integrity-error');
+        this.$savedTo = this.$el.querySelector('.file-saved-to');
 
-        Events.on('files-received', e => this._onFilesReceived(e.detail.peerId, e.detail.files, e.detail.imagesOnly, e.detail.totalSize));
+        Events.on('files-received', e => this._onFilesReceived(e.detail.peerId, e.detail.files, e.detail.imagesOnly, e.detail.totalSize, e.detail.corruptedFiles, e.detail.autoSaved));
         this._filesQueue = [];
     }
 
-    async _onFilesReceived(peerId, files, imagesOnly, totalSize) {
+    async _onFilesReceived(peerId, files, imagesOnly, totalSize, corruptedFiles = [], autoSaved = false) {
+        // files in the auto-save folder need no further action -> only show a toast unless they are corrupted
+        if (autoSaved && !corruptedFiles.length) {
+            this._onFilesAutoSaved(peerId, files);
+            return;
+        }
+
         const displayName = $(peerId).ui._displayName();
         const connectionHash = $(peerId).ui._connectionHash;
         const badgeClassName = $(peerId).ui._badgeClassName();
@@ -1080,7 +1478,8 @@ class ReceiveFileDialog extends ReceiveDialog {
             files: files,
             imagesOnly: imagesOnly,
             totalSize: totalSize,
-            badgeClassName: badgeClassName
+            badgeClassName: badgeClassName,
+            corruptedFiles: corruptedFiles
         });
 
         window.blop.play();
@@ -1088,11 +1487,20 @@ class ReceiveFileDialog extends ReceiveDialog {
         await this._nextFiles();
     }
 
+    _onFilesAutoSaved(peerId, files) {
+        const locations = files.map(file => file.savedTo).filter(onlyUnique);
+
+        Events.fire('set-progress', { peerId: peerId, progress: 1, status: 'process' });
+        Events.fire('notify-user', Localization.getTranslation("notifications.files-auto-saved", null, { location: locations.join(', ') }));
+
+        window.blop.play();
+    }
+
     async _nextFiles() {
         if (this._busy || !this._filesQueue.length) return;
         this._busy = true;
-        const { peerId, displayName, connectionHash, files, imagesOnly, totalSize, badgeClassName } = this._filesQueue.shift();
-        await this._displayFiles(peerId, displayName, connectionHash, files, imagesOnly, totalSize, badgeClassName);
+        const { peerId, displayName, connectionHash, files, imagesOnly, totalSize, badgeClassName, corruptedFiles } = this._filesQueue.shift();
+        await this._displayFiles(peerId, displayName, connectionHash, files, imagesOnly, totalSize, badgeClassName, corruptedFiles);
     }
 
     createPreviewElement(file) {
@@ -1130,9 +1538,15 @@ class ReceiveFileDialog extends ReceiveDialog {
         });
     }
 
-    async _displayFiles(peerId, displayName, connectionHash, files, imagesOnly, totalSize, badgeClassName) {
+    async _displayFiles(peerId, displayName, connectionHash, files, imagesOnly, totalSize, badgeClassName, corruptedFiles) {
         this._parseFileData(displayName, connectionHash, files, imagesOnly, totalSize, badgeClassName);
 
+        const integrityCheckFailed = corruptedFiles.length > 0;
+        if (integrityCheckFailed) {
+            this.$integrityError.innerText = Localization.getTranslation("dialogs.integrity-check-failed", null, { files: corruptedFiles.join(', ') });
+            this.$integrityError.removeAttribute('hidden');
+        }
+
         let descriptor, url, filenameDownload;
         if (files.length === 1) {
             descriptor = imagesOnly
@@ -1146,6 +1560,12 @@ class ReceiveFileDialog extends ReceiveDialog {
         }
         this.$receiveTitle.innerText = Localization.getTranslation("dialogs.receive-title", null, { descriptor: descriptor });
 
+        // large files are streamed to disk while they are received
+        if (files.every(file => file.savedTo)) {
+            this._displaySavedFiles(peerId, files);
+            return;
+        }
+
         const canShare = (window.iOS || window.android) && !!navigator.share && navigator.canShare({ files });
         if (canShare) {
             this.$shareBtn.removeAttribute('hidden');
@@ -1176,18 +1596,7 @@ class ReceiveFileDialog extends ReceiveDialog {
                     bytesCompleted += files[i].size;
                 }
                 url = await zipper.getBlobURL();
-
-                let now = new Date(Date.now());
-                let year = now.getFullYear().toString();
-                let month = (now.getMonth() + 1).toString();
-                month = month.length < 2 ? "0" + month : month;
-                let date = now.getDate().toString();
-                date = date.length < 2 ? "0" + date : date;
-                let hours = now.getHours().toString();
-                hours = hours.length < 2 ? "0" + hours : hours;
-                let minutes = now.getMinutes().toString();
-                minutes = minutes.length < 2 ? "0" + minutes : minutes;
-                filenameDownload = `PairDrop_files_${year + month + date}_${hours + minutes}.zip`;
+                filenameDownload = getZipFileName(new Date(Date.now()));
             } catch (e) {
                 console.error(e);
                 downloadZipped = false;
@@ -1226,6 +1635,9 @@ class ReceiveFileDialog extends ReceiveDialog {
         this.show();
 
         setTimeout(() => {
+            // do not save corrupted files without the user noticing
+            if (integrityCheckFailed) return;
+
             // wait for the dialog to be shown
             if (canShare) {
                 this.$shareBtn.click();
@@ -1247,6 +1659,21 @@ class ReceiveFileDialog extends ReceiveDialog {
             .catch(r => console.error(r));
     }
 
+    _displaySavedFiles(peerId, files) {
+        const locations = files.map(file => file.savedTo).filter(onlyUnique);
+        this.$savedTo.innerText = Localization.getTranslation("dialogs.saved-to", null, { location: locations.join(', ') });
+        this.$savedTo.removeAttribute('hidden');
+        this.$downloadBtn.setAttribute('hidden', true);
+
+        document.title = files.length === 1
+            ? `${Localization.getTranslation("document-titles.file-received")} - PairDrop`
+            : `${Localization.getTranslation("document-titles.file-received-plural", null, { count: files.length })} - PairDrop`;
+        changeFavicon("images/favicon-96x96-notification.png");
+
+        Events.fire('set-progress', { peerId: peerId, progress: 1, status: 'process' })
+        this.show();
+    }
+
     _downloadFilesIndividually(files) {
         let tmpBtn = document.createElement("a");
         for (let i = 0; i < files.length; i++) {
@@ -1261,6 +1688,9 @@ class ReceiveFileDialog extends ReceiveDialog {
         setTimeout(async () => {
             this.$shareBtn.setAttribute('hidden', true);
             this.$downloadBtn.setAttribute('disabled', true);
+            this.$integrityError.setAttribute('hidden', true);
+            this.$savedTo.setAttribute('hidden', true);
+            this.$downloadBtn.removeAttribute('hidden');
             this.$previewBox.innerHTML = '';
             this._busy = false;
             await this._nextFiles();
@@ -1275,10 +1705,12 @@ class ReceiveRequestDialog extends ReceiveDialog {
 
         this.$acceptRequestBtn = this.$el.querySelector('#accept-request');
         this.$declineRequestBtn = this.$el.querySelector('#decline-request');
+        this.$fileList = this.$el.querySelector('.file-list');
         this.$acceptRequestBtn.addEventListener('click', _ => this._respondToFileTransferRequest(true));
         this.$declineRequestBtn.addEventListener('click', _ => this._respondToFileTransferRequest(false));
 
-        Events.on('files-transfer-request', e => this._onRequestFileTransfer(e.detail.request, e.detail.peerId))
+        Events.on('files-transfer-request', e => this._onRequestFileTransfer(e.detail.request, e.detail.peerId, e.detail.filesSelectable))
+        Events.on('files-transfer-request-canceled', e => this._onRequestFileTransferCanceled(e.detail.peerId))
         Events.on('keydown', e => this._onKeyDown(e));
         this._filesTransferRequestQueue = [];
     }
@@ -1291,20 +1723,29 @@ class ReceiveRequestDialog extends ReceiveDialog {
         }
     }
 
-    _onRequestFileTransfer(request, peerId) {
-        this._filesTransferRequestQueue.push({ request: request, peerId: peerId });
+    _onRequestFileTransfer(request, peerId, filesSelectable) {
+        this._filesTransferRequestQueue.push({ request: request, peerId: peerId, filesSelectable: filesSelectable });
         if (this.isShown()) return;
         this._dequeueRequests();
     }
 
+    _onRequestFileTransferCanceled(peerId) {
+        this._filesTransferRequestQueue = this._filesTransferRequestQueue.filter(request => request.peerId !== peerId);
+
+        if (this.isShown() && this.correspondingPeerId === peerId) {
+            this.hide();
+        }
+    }
+
     _dequeueRequests() {
         if (!this._filesTransferRequestQueue.length) return;
-        let { request, peerId } = this._filesTransferRequestQueue.shift();
-        this._showRequestDialog(request, peerId)
+        let { request, peerId, filesSelectable } = this._filesTransferRequestQueue.shift();
+        this._showRequestDialog(request, peerId, filesSelectable)
     }
 
-    _showRequestDialog(request, peerId) {
+    _showRequestDialog(request, peerId, filesSelectable) {
         this.correspondingPeerId = peerId;
+        this._request = request;
 
         const displayName = $(peerId).ui._displayName();
         const connectionHash = $(peerId).ui._connectionHash;
@@ -1313,6 +1754,11 @@ class ReceiveRequestDialog extends ReceiveDialog {
 
         this._parseFileData(displayName, connectionHash, request.header, request.imagesOnly, request.totalSize, badgeClassName);
 
+        // older clients always send all files
+        if (filesSelectable && request.header.length > 1) {
+            this._displayFileList(request.header);
+        }
+
         if (request.thumbnailDataUrl && request.thumbnailDataUrl.substring(0, 22) === "data:image/jpeg;base64") {
             let element = document.createElement('img');
             element.src = request.thumbnailDataUrl;
@@ -1328,14 +1774,82 @@ class ReceiveRequestDialog extends ReceiveDialog {
         document.title = `${transferRequestTitle} - PairDrop`;
         changeFavicon("images/favicon-96x96-notification.png");
 
-        this.$acceptRequestBtn.removeAttribute('disabled');
-        this.show();
-    }
+        this.$acceptRequestBtn.removeAttribute('disabled');
+        this.show();
+    }
+
+    _displayFileList(header) {
+        header.forEach(file => {
+            let $fileListItem = document.createElement('label');
+            $fileListItem.classList.add('row', 'file-list-item', 'pointer');
+            $fileListItem.innerHTML = `
+                <input type="checkbox" checked>
+                <span class="file-list-name"></span>
+                <span class="file-list-details font-body2"></span>`;
+
+            $fileListItem.querySelector('.file-list-name').textContent = file.name;
+            $fileListItem.querySelector('.file-list-details').textContent = `${formatFileSize(file.size)} · ${file.mime || '?'}`;
+            $fileListItem.querySelector('input').addEventListener('change', _ => this._onFileSelectionChanged());
+
+            this.$fileList.appendChild($fileListItem);
+        });
+
+        this.$fileList.removeAttribute('hidden');
+    }
+
+    _getAcceptedFiles() {
+        const $checkboxes = this.$fileList.querySelectorAll('input');
+
+        // all files are accepted if no file list is shown
+        if (!$checkboxes.length) return null;
+
+        let acceptedFiles = [];
+        $checkboxes.forEach(($checkbox, i) => {
+            if ($checkbox.checked) acceptedFiles.push(i);
+        });
+
+        return acceptedFiles.length < $checkboxes.length
+            ? acceptedFiles
+            : null;
+    }
+
+    _onFileSelectionChanged() {
+        const acceptedRequest = Peer.filterRequest(this._request, this._getAcceptedFiles());
+
+        this.$fileSize.innerText = formatFileSize(acceptedRequest.totalSize);
+
+        if (acceptedRequest.header.length) {
+            this.$acceptRequestBtn.removeAttribute('disabled');
+        }
+        else {
+            this.$acceptRequestBtn.setAttribute('disabled', true);
+        }
+    }
+
+    async _respondToFileTransferRequest(accepted) {
+        const acceptedFiles = accepted ? this._getAcceptedFiles() : null;
+
+        let saveTarget = null;
+        if (accepted) {
+            try {
+                const displayName = $(this.correspondingPeerId).ui._displayName();
+                saveTarget = await FileSink.chooseSaveTarget(Peer.filterRequest(this._request, acceptedFiles), true, displayName);
+            }
+            catch (e) {
+                // user closed the file picker -> let them decide again
+                console.log(e);
+                return;
+            }
+        }
+
+        // dialog might have been closed in the meantime
+        if (!this.isShown()) return;
 
-    _respondToFileTransferRequest(accepted) {
         Events.fire('respond-to-files-transfer-request', {
             to: this.correspondingPeerId,
-            accepted: accepted
+            accepted: accepted,
+            acceptedFiles: acceptedFiles,
+            saveTarget: saveTarget
         })
         if (accepted) {
             Events.fire('set-progress', { peerId: this.correspondingPeerId, progress: 0, status: 'wait' });
@@ -1348,6 +1862,8 @@ class ReceiveRequestDialog extends ReceiveDialog {
         // clear previewBox after dialog is closed
         setTimeout(() => {
             this.$previewBox.innerHTML = '';
+            this.$fileList.innerHTML = '';
+            this.$fileList.setAttribute('hidden', true);
             this.$acceptRequestBtn.setAttribute('disabled', true);
         }, 300);
 
@@ -1708,6 +2224,7 @@ class PairDeviceDialog extends Dialog {
                     this.$footerInstructionsPairedDevices.setAttribute('hidden', true);
                 }
                 Events.fire('evaluate-footer-badges');
+                Events.fire('room-secrets-changed');
             });
     }
 }
@@ -1737,6 +2254,7 @@ class EditPairedDevicesDialog extends Dialog {
         const pairedDeviceRemovedString = Localization.getTranslation("dialogs.paired-device-removed");
         const unpairString = Localization.getTranslation("dialogs.unpair").toUpperCase();
         const autoAcceptString = Localization.getTranslation("dialogs.auto-accept").toLowerCase();
+        const rulesString = Localization.getTranslation("dialogs.auto-accept-rules").toUpperCase();
         const roomSecretsEntries = await PersistentStorage.getAllRoomSecretEntries();
 
         roomSecretsEntries
@@ -1766,8 +2284,20 @@ class EditPairedDevicesDialog extends Dialog {
                                 <div class="slider round"></div>
                             </label>
                         </div>
-                        <button class="btn grow" type="button">${unpairString}</button>
-                    </div>`
+                        <button class="btn grow rules-btn" type="button">${rulesString}</button>
+                        <button class="btn grow unpair-btn" type="button">${unpairString}</button>
+                    </div>
+                    <div class="auto-accept-rules fw" hidden></div>`
+
+                const $rules = $pairedDevice.querySelector('.auto-accept-rules');
+                this._displayAutoAcceptRules($rules, roomSecretsEntry.secret, roomSecretsEntry.auto_accept_rules || []);
+
+                $pairedDevice
+                    .querySelector('.rules-btn')
+                    .addEventListener('click', _ => {
+                        $rules.toggleAttribute('hidden');
+                        this._evaluateOverflowing(this.$pairedDevicesWrapper);
+                    });
 
                 $pairedDevice
                     .querySelector('input[type="checkbox"]')
@@ -1783,7 +2313,7 @@ class EditPairedDevicesDialog extends Dialog {
                     });
 
                 $pairedDevice
-                    .querySelector('button')
+                    .querySelector('.unpair-btn')
                     .addEventListener('click', e => {
                         PersistentStorage
                             .deleteRoomSecret(roomSecretsEntry.secret)
@@ -1798,6 +2328,91 @@ class EditPairedDevicesDialog extends Dialog {
             })
     }
 
+    _displayAutoAcceptRules($rules, roomSecret, rules) {
+        $rules.innerHTML = "";
+
+        rules.forEach((rule, i) => {
+            const $rule = document.createElement('div');
+            $rule.classList.add('auto-accept-rule', 'row', 'center');
+            $rule.innerHTML = `
+                <span class="grow"></span>
+                <div class="icon-button" title="${Localization.getTranslation("dialogs.remove-rule")}">
+                    <svg class="icon"><use xlink:href="#close-icon"/></svg>
+                </div>`;
+
+            $rule.querySelector('span').innerText = this._describeRule(rule);
+            $rule
+                .querySelector('.icon-button')
+                .addEventListener('click', _ => {
+                    this._saveAutoAcceptRules($rules, roomSecret, rules.filter((_, j) => j !== i));
+                });
+
+            $rules.appendChild($rule);
+        });
+
+        const options = (type, values) => values
+            .map(value => `<option value="${value}">${Localization.getTranslation(`dialogs.rule-${type}-${value}`)}</option>`)
+            .join('');
+
+        const $addRule = document.createElement('div');
+        $addRule.classList.add('add-auto-accept-rule', 'row', 'center', 'wrap');
+        $addRule.innerHTML = `
+            <select class="rule-action">${options('action', ['accept', 'ask', 'decline'])}</select>
+            <select class="rule-file-type">${options('file-type', ['any', 'images', 'videos', 'audio', 'executables'])}</select>
+            <select class="rule-size-condition">${options('size', ['any', 'below', 'above'])}</select>
+            <label class="rule-size" hidden>
+                <input type="number" min="0" step="any" value="20">
+                MB
+            </label>
+            <button class="btn" type="button">${Localization.getTranslation("dialogs.add-rule").toUpperCase()}</button>`;
+
+        const $sizeCondition = $addRule.querySelector('.rule-size-condition');
+        const $size = $addRule.querySelector('.rule-size');
+
+        $sizeCondition.addEventListener('change', _ => {
+            $size.toggleAttribute('hidden', $sizeCondition.value === 'any');
+        });
+
+        $addRule
+            .querySelector('button')
+            .addEventListener('click', _ => {
+                const size = Math.round(parseFloat($size.querySelector('input').value) * 1048576);
+                const rule = {
+                    'action': $addRule.querySelector('.rule-action').value,
+                    'file_type': $addRule.querySelector('.rule-file-type').value,
+                    'size_condition': $sizeCondition.value,
+                    'size': $sizeCondition.value !== 'any' && size >= 0 ? size : 0
+                };
+                this._saveAutoAcceptRules($rules, roomSecret, [...rules, rule]);
+            });
+
+        $rules.appendChild($addRule);
+    }
+
+    _describeRule(rule) {
+        const action = Localization.getTranslation(`dialogs.rule-action-${rule.action}`);
+        const fileType = Localization.getTranslation(`dialogs.rule-file-type-${rule.file_type}`);
+        const size = rule.size_condition === 'any'
+            ? Localization.getTranslation("dialogs.rule-size-any")
+            : `${Localization.getTranslation(`dialogs.rule-size-${rule.size_condition}`)} ${formatFileSize(rule.size)}`;
+
+        return `${action} ${fileType} ${size}`;
+    }
+
+    _saveAutoAcceptRules($rules, roomSecret, rules) {
+        PersistentStorage
+            .updateRoomSecretAutoAcceptRules(roomSecret, rules)
+            .then(roomSecretEntry => {
+                if (!roomSecretEntry) return;
+
+                Events.fire('auto-accept-rules-updated', {
+                    'roomSecret': roomSecret,
+                    'autoAcceptRules': rules
+                });
+                this._displayAutoAcceptRules($rules, roomSecret, rules);
+            });
+    }
+
     hide() {
         super.hide();
         setTimeout(() => {
@@ -1846,6 +2461,479 @@ class EditPairedDevicesDialog extends Dialog {
     }
 }
 
+class TransferHistoryDialog extends Dialog {
+    constructor() {
+        super('transfer-history-dialog');
+        this.$historyWrapper = this.$el.querySelector('.transfer-history-wrapper');
+        this.$keepFilesLabel = this.$el.querySelector('.keep-received-files-label');
+        this.$keepFilesCheckbox = this.$el.querySelector('.keep-received-files input');
+        this.$clearHistoryBtn = this.$el.querySelector('.clear-history-btn');
+
+        $('transfer-history').addEventListener('click', _ => this._onShowTransferHistory());
+        this.$keepFilesCheckbox.addEventListener('change', e => this._onKeepFilesChanged(e.target.checked));
+        this.$clearHistoryBtn.addEventListener('click', _ => this._clearTransferHistory());
+
+        Events.on('transfer-ended', e => this._onTransferEnded(e.detail.peerId, e.detail.direction, e.detail.files, e.detail.outcome));
+        Events.on('keydown', e => this._onKeyDown(e));
+    }
+
+    static get keepFilesQuota() {
+        // received files are only kept in the browser storage up to 500 MB in total
+        return 500 * 1024 * 1024;
+    }
+
+    _onKeyDown(e) {
+        if (!this.isShown()) return;
+
+        if (e.code === "Escape") {
+            this.hide();
+        }
+    }
+
+    async _isKeepFilesActive() {
+        try {
+            return !!(await PersistentStorage.get('transfer_history_keep_files'));
+        }
+        catch (e) {
+            return false;
+        }
+    }
+
+    async _onTransferEnded(peerId, direction, files, outcome) {
+        const $peer = $(peerId);
+
+        const entry = {
+            'display_name': $peer ? $peer.ui._displayName() : "",
+            'direction': direction,
+            'files': files.map(file => ({ name: file.name, size: file.size, mime: file.mime || file.type || "" })),
+            'total_size': files.reduce((totalSize, file) => totalSize + file.size, 0),
+            'time': Date.now(),
+            'outcome': outcome,
+            'blobs': null
+        };
+
+        // files that were saved to disk directly are not available as blob
+        const filesAvailable = files.every(file => file instanceof Blob);
+
+        try {
+            if (direction === 'received' && outcome === 'completed' && filesAvailable && await this._isKeepFilesActive()) {
+                const enoughSpace = await this._makeRoomForFiles(entry.total_size);
+                if (enoughSpace) entry.blobs = files;
+            }
+
+            await PersistentStorage.addTransferHistoryEntry(entry);
+        }
+        catch (e) {
+            console.error(e);
+            return;
+        }
+
+        if (this.isShown()) await this._refresh();
+    }
+
+    async _makeRoomForFiles(bytesNeeded) {
+        const quota = TransferHistoryDialog.keepFilesQuota;
+
+        if (bytesNeeded > quota) return false;
+
+        // keep the files of the newest transfers and remove the files of older ones that exceed the quota
+        const transferHistoryEntries = await PersistentStorage.getAllTransferHistoryEntries();
+        let bytesUsed = bytesNeeded;
+
+        for (const { entry, key } of transferHistoryEntries) {
+            if (!entry.blobs) continue;
+
+            if (bytesUsed + entry.total_size <= quota) {
+                bytesUsed += entry.total_size;
+                continue;
+            }
+
+            entry.blobs = null;
+            await PersistentStorage.updateTransferHistoryEntry(key, entry);
+        }
+
+        return true;
+    }
+
+    async _onKeepFilesChanged(keepFiles) {
+        await PersistentStorage.set('transfer_history_keep_files', keepFiles);
+
+        if (keepFiles) return;
+
+        // free the storage used by already kept files
+        const transferHistoryEntries = await PersistentStorage.getAllTransferHistoryEntries();
+        for (const { entry, key } of transferHistoryEntries) {
+            if (!entry.blobs) continue;
+
+            entry.blobs = null;
+            await PersistentStorage.updateTransferHistoryEntry(key, entry);
+        }
+
+        await this._refresh();
+    }
+
+    async _initDOM() {
+        const transferHistoryEntries = await PersistentStorage.getAllTransferHistoryEntries();
+
+        this.$keepFilesLabel.innerText = Localization.getTranslation("dialogs.keep-received-files", null, { quota: formatFileSize(TransferHistoryDialog.keepFilesQuota) });
+        this.$keepFilesCheckbox.checked = await this._isKeepFilesActive();
+
+        transferHistoryEntries.forEach(({ entry, key }) => {
+            this.$historyWrapper.appendChild(this._createEntryElement(entry, key));
+        });
+    }
+
+    _createEntryElement(entry, key) {
+        const displayName = entry.display_name || Localization.getTranslation("dialogs.history-unknown-device");
+        const title = entry.direction === 'sent'
+            ? Localization.getTranslation("dialogs.history-sent-to", null, { name: displayName })
+            : Localization.getTranslation("dialogs.history-received-from", null, { name: displayName });
+        const fileNames = entry.files.map(file => file.name).join(', ');
+        const details = [
+            new Date(entry.time).toLocaleString(),
+            formatFileSize(entry.total_size),
+            Localization.getTranslation(`dialogs.history-${entry.outcome}`)
+        ].join(' · ');
+
+        let $entry = document.createElement('div');
+        $entry.classList.add('transfer-history-entry');
+
+        $entry.innerHTML = `
+            <div class="display-name font-subheading"></div>
+            <div class="file-names"></div>
+            <div class="details font-body2"></div>
+            <div class="button-wrapper row fw center wrap">
+                <button class="btn grow download-btn" type="button">${Localization.getTranslation("dialogs.download").toUpperCase()}</button>
+                <button class="btn grow share-btn" type="button" hidden>${Localization.getTranslation("dialogs.share").toUpperCase()}</button>
+                <button class="btn grow delete-btn" type="button">${Localization.getTranslation("dialogs.delete").toUpperCase()}</button>
+            </div>`;
+
+        // file and device names are user input -> do not insert them as html
+        $entry.querySelector('.display-name').textContent = title;
+        $entry.querySelector('.file-names').textContent = fileNames;
+        $entry.querySelector('.details').textContent = details;
+
+        const $downloadBtn = $entry.querySelector('.download-btn');
+        const $shareBtn = $entry.querySelector('.share-btn');
+
+        if (entry.blobs) {
+            const files = entry.blobs.map((blob, i) => blob instanceof File
+                ? blob
+                : new File([blob], entry.files[i].name, { type: entry.files[i].mime }));
+
+            $downloadBtn.addEventListener('click', _ => this._downloadFiles(files, entry.time));
+
+            if (navigator.share && navigator.canShare && navigator.canShare({ files })) {
+                $shareBtn.removeAttribute('hidden');
+                $shareBtn.addEventListener('click', _ => {
+                    navigator.share({ files: files })
+                        .catch(err => console.error(err));
+                });
+            }
+        }
+        else {
+            $downloadBtn.setAttribute('hidden', true);
+        }
+
+        $entry
+            .querySelector('.delete-btn')
+            .addEventListener('click', _ => {
+                PersistentStorage
+                    .deleteTransferHistoryEntry(key)
+                    .then(_ => {
+                        $entry.remove();
+                        this._evaluateOverflowing(this.$historyWrapper);
+                    });
+            });
+
+        return $entry;
+    }
+
+    async _downloadFiles(files, time) {
+        let tmpBtn = document.createElement("a");
+
+        if (files.length === 1) {
+            tmpBtn.download = files[0].name;
+            tmpBtn.href = URL.createObjectURL(files[0]);
+            tmpBtn.click();
+            return;
+        }
+
+        try {
+            zipper.createNewZipWriter();
+            for (let i = 0; i < files.length; i++) {
+                await zipper.addFile(files[i]);
+            }
+            tmpBtn.download = getZipFileName(new Date(time));
+            tmpBtn.href = await zipper.getBlobURL();
+            tmpBtn.click();
+        }
+        catch (e) {
+            console.error(e);
+        }
+    }
+
+    async _refresh() {
+        this.$historyWrapper.innerHTML = "";
+        await this._initDOM();
+        this._evaluateOverflowing(this.$historyWrapper);
+    }
+
+    _clearTransferHistory() {
+        PersistentStorage
+            .clearTransferHistory()
+            .then(_ => {
+                this.$historyWrapper.innerHTML = "";
+                Events.fire('notify-user', Localization.getTranslation("notifications.transfer-history-cleared"));
+            });
+    }
+
+    hide() {
+        super.hide();
+        setTimeout(() => {
+            this.$historyWrapper.innerHTML = ""
+        }, 300);
+    }
+
+    _onShowTransferHistory() {
+        this._initDOM()
+            .then(_ => {
+                this._evaluateOverflowing(this.$historyWrapper);
+                this.show();
+            });
+    }
+}
+
+class AutoSaveDialog extends Dialog {
+    constructor() {
+        super('auto-save-dialog');
+        this.$directory = this.$el.querySelector('.auto-save-directory');
+        this.$subfoldersSelect = this.$el.querySelector('.auto-save-subfolders');
+        this.$chooseDirectoryBtn = this.$el.querySelector('.choose-directory-btn');
+        this.$disableBtn = this.$el.querySelector('.disable-auto-save-btn');
+
+        $('auto-save').addEventListener('click', _ => this._onShowAutoSave());
+        this.$chooseDirectoryBtn.addEventListener('click', _ => this._chooseDirectory());
+        this.$disableBtn.addEventListener('click', _ => this._disable());
+        this.$subfoldersSelect.addEventListener('change', e => this._onSubfoldersChanged(e.target.value));
+
+        Events.on('keydown', e => this._onKeyDown(e));
+    }
+
+    _onKeyDown(e) {
+        if (!this.isShown()) return;
+
+        if (e.code === "Escape") {
+            this.hide();
+        }
+    }
+
+    async _onShowAutoSave() {
+        await this._refresh();
+        this.show();
+    }
+
+    async _refresh() {
+        const directoryHandle = await AutoSave.getDirectory();
+
+        this.$directory.innerText = directoryHandle ? directoryHandle.name : "";
+        this.$subfoldersSelect.value = await AutoSave.getSubfolders();
+
+        if (directoryHandle) {
+            this.$disableBtn.removeAttribute('hidden');
+        }
+        else {
+            this.$disableBtn.setAttribute('hidden', true);
+        }
+    }
+
+    async _chooseDirectory() {
+        let directoryHandle;
+        try {
+            directoryHandle = await window.showDirectoryPicker({ id: 'auto-save', mode: 'readwrite' });
+        }
+        catch (e) {
+            // user closed the directory picker
+            console.log(e);
+            return;
+        }
+
+        try {
+            await AutoSave.setDirectory(directoryHandle);
+        }
+        catch (e) {
+            console.error(e);
+            return;
+        }
+
+        await this._refresh();
+        Events.fire('notify-user', Localization.getTranslation("notifications.auto-save-enabled", null, { location: directoryHandle.name }));
+    }
+
+    async _disable() {
+        try {
+            await AutoSave.setDirectory(null);
+        }
+        catch (e) {
+            console.error(e);
+            return;
+        }
+
+        await this._refresh();
+        Events.fire('notify-user', Localization.getTranslation("notifications.auto-save-disabled"));
+    }
+
+    async _onSubfoldersChanged(subfolders) {
+        try {
+            await AutoSave.setSubfolders(subfolders);
+        }
+        catch (e) {
+            console.error(e);
+        }
+    }
+}
+
+class PeerDiagnosticsDialog extends Dialog {
+    constructor() {
+        super('peer-diagnostics-dialog');
+        this.$peerDisplayName = this.$el.querySelector('.display-name');
+        this.$diagnosticsWrapper = this.$el.querySelector('.diagnostics-wrapper');
+        this.$stateHistory = this.$el.querySelector('.connection-state-history');
+        this.$copyReportBtn = this.$el.querySelector('.copy-report-btn');
+
+        this.$copyReportBtn.addEventListener('click', _ => this._copyReport());
+
+        Events.on('show-peer-diagnostics', e => this._onShowPeerDiagnostics(e.detail.peerId, e.detail.deviceName));
+        Events.on('peer-diagnostics', e => this._onPeerDiagnostics(e.detail.peerId, e.detail.diagnostics));
+        Events.on('keydown', e => this._onKeyDown(e));
+    }
+
+    static get refreshInterval() {
+        return 1000; // 1 s
+    }
+
+    _onKeyDown(e) {
+        if (!this.isShown()) return;
+
+        if (e.code === "Escape") {
+            this.hide();
+        }
+    }
+
+    _onShowPeerDiagnostics(peerId, deviceName) {
+        this.correspondingPeerId = peerId;
+        this._diagnostics = null;
+
+        this.$peerDisplayName.innerText = deviceName;
+        this.$peerDisplayName.classList.remove("badge-room-ip", "badge-room-secret", "badge-room-public-id");
+        this.$peerDisplayName.classList.add($(peerId).ui._badgeClassName());
+        this.$diagnosticsWrapper.innerHTML = "";
+        this.$stateHistory.innerHTML = "";
+        this.$copyReportBtn.setAttribute('disabled', true);
+
+        this.show();
+
+        this._requestDiagnostics();
+        clearInterval(this._refreshIntervalId);
+        this._refreshIntervalId = setInterval(() => this._requestDiagnostics(), PeerDiagnosticsDialog.refreshInterval);
+    }
+
+    _requestDiagnostics() {
+        Events.fire('request-peer-diagnostics', { peerId: this.correspondingPeerId });
+    }
+
+    _onPeerDiagnostics(peerId, diagnostics) {
+        if (!this.isShown() || peerId !== this.correspondingPeerId) return;
+
+        this._diagnostics = diagnostics;
+        this.$copyReportBtn.removeAttribute('disabled');
+        this._displayDiagnostics(diagnostics);
+    }
+
+    _displayDiagnostics(diagnostics) {
+        const notAvailable = Localization.getTranslation("dialogs.diagnostics-not-available");
+        const candidatePair = diagnostics.candidatePair;
+
+        const describeCandidate = candidate => {
+            if (!candidate) return "?";
+            const protocol = candidate.relayProtocol || candidate.protocol;
+            return protocol ? `${candidate.type} (${protocol})` : candidate.type;
+        };
+
+        const rows = [
+            ["diagnostics-transport", Localization.getTranslation(`dialogs.diagnostics-transport-${diagnostics.transport}`)],
+            ["diagnostics-protocol-version", `${diagnostics.protocolVersion}`]
+        ];
+
+        if (diagnostics.transport === 'webrtc') {
+            rows.push(
+                ["diagnostics-candidate-pair", candidatePair
+                    ? `${describeCandidate(candidatePair.local)} ↔ ${describeCandidate(candidatePair.remote)}`
+                    : notAvailable],
+                ["diagnostics-round-trip-time", candidatePair && candidatePair.roundTripTime !== undefined
+                    ? `${Math.round(candidatePair.roundTripTime * 1000)} ms`
+                    : notAvailable],
+                ["diagnostics-bytes-sent", candidatePair && candidatePair.bytesSent !== undefined
+                    ? formatFileSize(candidatePair.bytesSent)
+                    : notAvailable],
+                ["diagnostics-bytes-received", candidatePair && candidatePair.bytesReceived !== undefined
+                    ? formatFileSize(candidatePair.bytesReceived)
+                    : notAvailable],
+                ["diagnostics-data-channel-state", diagnostics.dataChannelState || notAvailable],
+                ["diagnostics-ice-connection-state", diagnostics.iceConnectionState || notAvailable]
+            );
+        }
+
+        this.$diagnosticsWrapper.innerHTML = "";
+        rows.forEach(([key, value]) => {
+            const $row = document.createElement('div');
+            $row.classList.add('diagnostics-row');
+
+            const $label = document.createElement('span');
+            $label.innerText = Localization.getTranslation(`dialogs.${key}`);
+
+            const $value = document.createElement('span');
+            $value.innerText = value;
+
+            $row.appendChild($label);
+            $row.appendChild($value);
+            this.$diagnosticsWrapper.appendChild($row);
+        });
+
+        this.$stateHistory.innerHTML = "";
+        diagnostics.connectionStateHistory.forEach(entry => {
+            const $entry = document.createElement('div');
+            $entry.innerText = `${new Date(entry.time).toLocaleTimeString()} ${entry.type}: ${entry.state}`;
+            this.$stateHistory.appendChild($entry);
+        });
+    }
+
+    _createReport() {
+        return JSON.stringify({
+            time: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            diagnostics: this._diagnostics
+        }, null, 2);
+    }
+
+    _copyReport() {
+        if (!this._diagnostics) return;
+
+        navigator.clipboard.writeText(this._createReport())
+            .then(_ => {
+                Events.fire('notify-user', Localization.getTranslation("notifications.copied-to-clipboard"));
+            })
+            .catch(_ => {
+                Events.fire('notify-user', Localization.getTranslation("notifications.copied-to-clipboard-error"));
+            })
+    }
+
+    hide() {
+        clearInterval(this._refreshIntervalId);
+        super.hide();
+    }
+}
+
 class PublicRoomDialog extends Dialog {
     constructor() {
         super('public-room-dialog');
@@ -2780,7 +3868,7 @@ class Notifications {
 
 
         Events.on('text-received', e => this._messageNotification(e.detail.text, e.detail.peerId));
-        Events.on('files-received', e => this._downloadNotification(e.detail.files));
+        Events.on('files-received', e => this._downloadNotification(e.detail.files, e.detail.autoSaved));
         Events.on('files-transfer-request', e => this._requestNotification(e.detail.request, e.detail.peerId));
     }
 
@@ -2836,7 +3924,7 @@ class Notifications {
         }
     }
 
-    _downloadNotification(files) {
+    _downloadNotification(files, autoSaved = false) {
         if (document.visibilityState !== 'visible') {
             let imagesOnly = files.every(file => file.type.split('/')[0] === 'image');
             let title;
@@ -2858,6 +3946,11 @@ class Notifications {
                 }
                 title = `${files[0].name} ${fileOther}`
             }
+            if (autoSaved) {
+                this._notify(title, Localization.getTranslation("notifications.auto-saved"));
+                return;
+            }
+
             const notification = this._notify(title, Localization.getTranslation("notifications.click-to-download"));
             this._bind(notification, _ => this._download(notification));
         }
@@ -3028,6 +4121,7 @@ class NoSleepUI {
     static disable() {
         if ($$('x-peer[status]') === null) {
             clearInterval(NoSleepUI._interval);
+            NoSleepUI._interval = null;
             NoSleepUI._nosleep.disable();
         }
     }
@@ -70,7 +70,8 @@ const zipper = (() => {
             zipWriter = new zip.ZipWriter(new zip.BlobWriter("application/zip"), { bufferedWrite: true, level: 0 });
         },
         addFile(file, options) {
-            return zipWriter.add(file.name, new zip.BlobReader(file), options);
+            // keep the directory structure of files sent as part of a folder
+            return zipWriter.add(file.relativePath || file.name, new zip.BlobReader(file), options);
         },
         async getBlobURL() {
             if (zipWriter) {
@@ -396,7 +397,59 @@ const mime = (() => {
         "kdbx": "application/x-keepass2"
     }
 
+    // types that are compressed already and would not get any smaller
+    const compressedMimeTypes = [
+        "application/gzip",
+        "application/zip",
+        "application/epub+zip",
+        "application/java-archive",
+        "application/pdf",
+        "application/vnd.android.package-archive",
+        "application/vnd.rar",
+        "application/x-7z-compressed",
+        "application/x-bzip2",
+        "application/x-rar-compressed",
+        "application/x-xz",
+        "application/zstd"
+    ];
+
+    const compressedMimeTypePrefixes = [
+        "image/",
+        "video/",
+        "audio/",
+        "font/woff",
+        "application/vnd.openxmlformats-officedocument.",
+        "application/vnd.oasis.opendocument."
+    ];
+
+    const executableMimeTypes = [
+        "application/java-archive",
+        "application/vnd.android.package-archive",
+        "application/vnd.microsoft.portable-executable",
+        "application/x-apple-diskimage",
+        "application/x-executable",
+        "application/x-msdos-program",
+        "application/x-msdownload",
+        "application/x-msi",
+        "application/x-sh"
+    ];
+
+    const executableSuffixes = [
+        "apk", "app", "bat", "cmd", "com", "dmg", "exe", "jar", "msi", "ps1", "scr", "sh", "vbs"
+    ];
+
     return {
+        isExecutable(mimeType, filename = "") {
+            const suffix = filename.split('.').pop().toLowerCase();
+            return executableMimeTypes.includes(mimeType) || executableSuffixes.includes(suffix);
+        },
+        isCompressible(mimeType) {
+            // svg images are text
+            if (mimeType === "image/svg+xml") return true;
+
+            return !compressedMimeTypes.includes(mimeType)
+                && !compressedMimeTypePrefixes.some(prefix => mimeType && mimeType.startsWith(prefix));
+        },
         guessMimeByFilename(filename) {
             const split = filename.split('.');
             if (split.length === 1) {
@@ -410,7 +463,9 @@ const mime = (() => {
             // if filetype is empty guess via suffix otherwise leave unchanged
             for (let i = 0; i < files.length; i++) {
                 if (!files[i].type) {
+                    const relativePath = files[i].relativePath;
                     files[i] = new File([files[i]], files[i].name, {type: mime.guessMimeByFilename(files[i].name) || "application/octet-stream"});
+                    if (relativePath) files[i].relativePath = relativePath;
                 }
             }
             return files;
@@ -437,10 +492,176 @@ const cyrb53 = function(str, seed = 0) {
     return 4294967296 * (2097151 & h2) + (h1>>>0);
 };
 
+/*
+    Incremental SHA-256 (FIPS 180-4).
+    SubtleCrypto can only digest complete buffers which is why files are hashed chunk by chunk with this instead.
+*/
+class SHA256 {
+
+    constructor() {
+        this._state = new Int32Array([
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ]);
+        this._block = new Uint8Array(64);
+        this._blockLength = 0;
+        this._bytesHashed = 0;
+        this._words = new Int32Array(64);
+        this._k = new Int32Array([
+            0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+            0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+            0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+            0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+            0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+            0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+            0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+            0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+        ]);
+    }
+
+    update(data) {
+        const bytes = data instanceof Uint8Array
+            ? data
+            : new Uint8Array(data.buffer || data, data.byteOffset || 0, data.byteLength);
+        let offset = 0;
+
+        this._bytesHashed += bytes.length;
+
+        // fill up a block left over from the previous update
+        if (this._blockLength) {
+            const length = Math.min(64 - this._blockLength, bytes.length);
+            this._block.set(bytes.subarray(0, length), this._blockLength);
+            this._blockLength += length;
+            offset = length;
+            if (this._blockLength < 64) return this;
+            this._processBlock(this._block, 0);
+            this._blockLength = 0;
+        }
+
+        for (; offset + 64 <= bytes.length; offset += 64) {
+            this._processBlock(bytes, offset);
+        }
+
+        if (offset < bytes.length) {
+            this._block.set(bytes.subarray(offset), 0);
+            this._blockLength = bytes.length - offset;
+        }
+
+        return this;
+    }
+
+    digest() {
+        const bitLength = this._bytesHashed * 8;
+        const padding = new Uint8Array(this._blockLength < 56 ? 64 - this._blockLength : 128 - this._blockLength);
+        padding[0] = 0x80;
+
+        // message length as 64-bit big endian integer
+        const view = new DataView(padding.buffer);
+        view.setUint32(padding.length - 8, Math.floor(bitLength / 0x100000000));
+        view.setUint32(padding.length - 4, bitLength >>> 0);
+
+        const bytesHashed = this._bytesHashed;
+        this.update(padding);
+        this._bytesHashed = bytesHashed;
+
+        let hex = '';
+        for (let i = 0; i < 8; i++) {
+            hex += (this._state[i] >>> 0).toString(16).padStart(8, '0');
+        }
+        return hex;
+    }
+
+    _processBlock(bytes, offset) {
+        const k = this._k;
+        const w = this._words;
+        const state = this._state;
+
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const w15 = w[i - 15], w2 = w[i - 2];
+            const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+            const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+
+        let a = state[0], b = state[1], c = state[2], d = state[3],
+            e = state[4], f = state[5], g = state[6], h = state[7];
+
+        for (let i = 0; i < 64; i++) {
+            const s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const ch = (e & f) ^ (~e & g);
+            const t1 = (h + s1 + ch + k[i] + w[i]) | 0;
+            const s0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const t2 = (s0 + maj) | 0;
+
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+
+        state[0] += a;
+        state[1] += b;
+        state[2] += c;
+        state[3] += d;
+        state[4] += e;
+        state[5] += f;
+        state[6] += g;
+        state[7] += h;
+    }
+}
+
 function onlyUnique (value, index, array) {
     return array.indexOf(value) === index;
 }
 
+function formatFileSize(bytes) {
+    // 1 GB = 1024 MB = 1024^2 KB = 1024^3 B
+    // 1024^2 = 104876; 1024^3 = 1073741824
+    if (bytes >= 1073741824) {
+        return Math.round(10 * bytes / 1073741824) / 10 + ' GB';
+    }
+    else if (bytes >= 1048576) {
+        return Math.round(bytes / 1048576) + ' MB';
+    }
+    else if (bytes > 1024) {
+        return Math.round(bytes / 1024) + ' KB';
+    }
+    else {
+        return bytes + ' Bytes';
+    }
+}
+
+function formatDuration(seconds) {
+    seconds = Math.ceil(seconds);
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor(seconds % 3600 / 60).toString();
+    const secs = (seconds % 60).toString();
+    return hours
+        ? `${hours}:${minutes.padStart(2, '0')}:${secs.padStart(2, '0')}`
+        : `${minutes}:${secs.padStart(2, '0')}`;
+}
+
+function getZipFileName(date) {
+    let year = date.getFullYear().toString();
+    let month = (date.getMonth() + 1).toString();
+    month = month.length < 2 ? "0" + month : month;
+    let day = date.getDate().toString();
+    day = day.length < 2 ? "0" + day : day;
+    let hours = date.getHours().toString();
+    hours = hours.length < 2 ? "0" + hours : hours;
+    let minutes = date.getMinutes().toString();
+    minutes = minutes.length < 2 ? "0" + minutes : minutes;
+    return `PairDrop_files_${year + month + day}_${hours + minutes}.zip`;
+}
+
 function getUrlWithoutArguments() {
     return `${window.location.protocol}//${window.location.host}${window.location.pathname}`;
 }
@@ -470,6 +691,59 @@ function base64ToArrayBuffer(base64) {
     return bytes.buffer;
 }
 
+// Resolves dropped folders into their files. Files inside a folder get their path relative to the dropped item
+async function getFilesFromDataTransfer(dataTransfer) {
+    // entries must be retrieved synchronously as the DataTransfer object is emptied after the drop event
+    const entries = [...dataTransfer.items]
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null);
+
+    if (!entries.length || entries.includes(null)) return [...dataTransfer.files];
+
+    let files = [];
+    for (let i = 0; i < entries.length; i++) {
+        files.push(...await getFilesFromFileSystemEntry(entries[i]));
+    }
+    return files;
+}
+
+async function getFilesFromFileSystemEntry(entry, path = '') {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        if (path) file.relativePath = path + file.name;
+        return [file];
+    }
+
+    const reader = entry.createReader();
+    let files = [];
+    let entries;
+
+    // readEntries returns the content of a directory in batches
+    do {
+        entries = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (let i = 0; i < entries.length; i++) {
+            files.push(...await getFilesFromFileSystemEntry(entries[i], `${path}${entry.name}/`));
+        }
+    } while (entries.length);
+
+    return files;
+}
+
+function getRelativePath(file) {
+    return file.relativePath || file.webkitRelativePath || '';
+}
+
+// Prevents received paths from escaping the target directory
+function sanitizeRelativePath(path) {
+    if (typeof path !== 'string') return '';
+
+    return path
+        .split(/[\\/]/)
+        .map(segment => segment.replace(/[\x00-\x1f<>:"|?*]/g, '').trim())
+        .filter(segment => segment && segment !== '.' && segment !== '..')
+        .join('/');
+}
+
 async function fileToBlob (file) {
     return new Blob([new Uint8Array(await file.arrayBuffer())], {type: file.type});
 }
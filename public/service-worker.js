@@ -1,4 +1,4 @@
-const cacheVersion = 'v1.11.2-printer-api-fix';
+const cacheVersion = 'v1.11.2-peer-protocol-v2';
 const cacheTitle = `pairdrop-cache-${cacheVersion}`;
 const relativePathsToCache = [
     './',
@@ -68,6 +68,10 @@ const relativePathsNotToCache = [
     'config'
 ]
 
+// streamed downloads of received files, see ServiceWorkerFileSink in network.js
+const downloadStreamPath = 'download-stream/';
+const downloadStreams = {};
+
 self.addEventListener('install', function (event) {
     // Perform install steps
     console.log("Cache files for sw:", cacheVersion);
@@ -158,6 +162,9 @@ self.addEventListener('fetch', function (event) {
         // Do not handle requests from other origin
         event.respondWith(fetch(event.request));
     }
+    else if (event.request.url.startsWith(rootUrl + downloadStreamPath)) {
+        event.respondWith(respondWithDownloadStream(event.request));
+    }
     else if (event.request.method === "POST") {
         const url = new URL(event.request.url);
         // Skip API endpoints (e.g. /api/print)
@@ -195,6 +202,78 @@ self.addEventListener('fetch', function (event) {
 });
 
 
+// a page hands over a MessagePort through which it feeds the chunks of a received file
+self.addEventListener('message', event => {
+    if (!event.data || event.data.type !== 'download-stream') return;
+
+    const port = event.ports[0];
+    const id = `${Date.now()}-${Math.random().toString(36).substring(2)}`;
+
+    // resolves the pending pull as soon as the requested chunk arrives
+    let onChunk = null;
+
+    const stream = new ReadableStream({
+        start(controller) {
+            port.onmessage = e => {
+                if (e.data instanceof ArrayBuffer || ArrayBuffer.isView(e.data)) {
+                    // decompressed chunks arrive as Uint8Array
+                    controller.enqueue(ArrayBuffer.isView(e.data)
+                        ? new Uint8Array(e.data.buffer, e.data.byteOffset, e.data.byteLength)
+                        : new Uint8Array(e.data));
+                    if (onChunk) onChunk();
+                    onChunk = null;
+                }
+                else if (e.data.done) {
+                    controller.close();
+                    port.close();
+                }
+                else if (e.data.abort) {
+                    controller.error(new Error("Download aborted"));
+                    port.close();
+                }
+            };
+        },
+        pull() {
+            // the page only sends the next chunk when it is requested -> at most highWaterMark chunks are kept in memory
+            port.postMessage({ type: 'download-stream-pull' });
+            return new Promise(resolve => onChunk = resolve);
+        },
+        cancel() {
+            // download was canceled by the user
+            port.postMessage({ type: 'download-stream-canceled' });
+        }
+    }, new CountQueuingStrategy({ highWaterMark: 8 }));
+
+    downloadStreams[id] = {
+        stream: stream,
+        name: event.data.name,
+        mime: event.data.mime,
+        size: event.data.size
+    };
+
+    port.postMessage({ type: 'download-stream-ready', url: rootUrl + downloadStreamPath + id });
+});
+
+const respondWithDownloadStream = async request => {
+    const id = request.url.substring(rootUrlLength + downloadStreamPath.length);
+    const download = downloadStreams[id];
+
+    if (!download) {
+        return new Response(null, { status: 404 });
+    }
+
+    delete downloadStreams[id];
+
+    return new Response(download.stream, {
+        headers: {
+            'Content-Type': download.mime,
+            'Content-Length': download.size,
+            'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(download.name)}`,
+            'X-Content-Type-Options': 'nosniff'
+        }
+    });
+}
+
 // on activation, we clean up the previously registered service workers
 self.addEventListener('activate', evt => {
     console.log("Activate sw:", cacheVersion);
@@ -0,0 +1,324 @@
+import fs from "fs";
+import path from "path";
+
+// The configuration is read from the optional file set via PAIRDROP_CONFIG (JSON or YAML).
+// Environment variables overwrite the file, command line flags overwrite both.
+
+export class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+const DEFAULT_RTC_CONFIG = {
+    "sdpSemantics": "unified-plan",
+    "iceServers": [
+        {
+            "urls": "stun:stun.l.google.com:19302"
+        }
+    ]
+};
+
+const TYPES = {
+    boolean: {
+        fromEnv: value => value === "true" ? true : value === "false" ? false : value,
+        check: value => typeof value === 'boolean' || "must be true or false"
+    },
+    integer: {
+        fromEnv: value => /^-?\d+$/.test(value) ? parseInt(value) : value,
+        check: (value, option) => {
+            const inRange = (option.min === undefined || value >= option.min) && (option.max === undefined || value <= option.max);
+            if (Number.isInteger(value) && inRange) return true;
+
+            if (option.min !== undefined && option.max !== undefined) {
+                return `must be an integer between ${option.min} and ${option.max}`;
+            }
+            return option.min !== undefined
+                ? `must be an integer of at least ${option.min}`
+                : "must be an integer";
+        }
+    },
+    string: {
+        fromEnv: value => value,
+        check: (value, option) => {
+            if (typeof value !== 'string' || !value) return "must be a non-empty string";
+            if (option.values && !option.values.includes(value)) return `must be one of ${option.values.join(', ')}`;
+            return option.validate ? option.validate(value) : true;
+        }
+    },
+    rtcConfig: {
+        // the environment variable holds the path to a JSON file, the config file may also contain the object itself
+        fromEnv: value => value,
+        check: value => {
+            if (typeof value === 'string' && value) return true;
+            if (isObject(value) && Array.isArray(value.iceServers)) return true;
+            return "must be the path to a JSON file or an object with an `iceServers` array";
+        }
+    }
+};
+
+const buttonSchema = envPrefix => ({
+    active: { type: 'boolean', env: `${envPrefix}_BUTTON_ACTIVE` },
+    link: { type: 'string', env: `${envPrefix}_BUTTON_LINK` },
+    title: { type: 'string', env: `${envPrefix}_BUTTON_TITLE` }
+});
+
+// Options can be disabled via `false` if `disableable` is set.
+// `trueValue` is used if the option is set to `true` or via its flag.
+const SCHEMA = {
+    debugMode: { type: 'boolean', env: 'DEBUG_MODE', default: false },
+    logLevel: { type: 'string', env: 'LOG_LEVEL', values: ['debug', 'info', 'warn', 'error', 'silent'] },
+    logFormat: { type: 'string', env: 'LOG_FORMAT', values: ['pretty', 'json'], default: 'pretty' },
+    port: { type: 'integer', env: 'PORT', min: 1, max: 65535, default: 3000 },
+    wsFallback: { type: 'boolean', env: 'WS_FALLBACK', flag: '--include-ws-fallback', default: false },
+    rtcConfig: { type: 'rtcConfig', env: 'RTC_CONFIG', disableable: true, default: false },
+    signalingServer: {
+        type: 'string',
+        env: 'SIGNALING_SERVER',
+        disableable: true,
+        default: false,
+        validate: value => /[a-z|0-9|\-._~:\/?#\[\]@!$&'()*+,;=]+$/.test(value) && !/:\/\//.test(value)
+            || "must be a valid url without the protocol prefix. " +
+            "Examples of valid values: `pairdrop.net`, `pairdrop.example.com:3000`, `example.com/pairdrop`"
+    },
+    ipv6Localize: { type: 'integer', env: 'IPV6_LOCALIZE', min: 0, max: 7, disableable: true, default: false },
+    rateLimit: { type: 'integer', env: 'RATE_LIMIT', flag: '--rate-limit', min: 0, disableable: true, trueValue: 5, default: false },
+    joinRateLimit: { type: 'integer', env: 'JOIN_RATE_LIMIT', min: 1, default: 10 },
+    roomBroker: { type: 'string', env: 'ROOM_BROKER', values: ['memory', 'redis'], default: 'memory' },
+    redisUrl: { type: 'string', env: 'REDIS_URL', secret: 'url', default: 'redis://localhost:6379' },
+    redisPrefix: { type: 'string', env: 'REDIS_PREFIX', default: 'pairdrop' },
+    metrics: { type: 'boolean', env: 'METRICS', default: false },
+    metricsToken: { type: 'string', env: 'METRICS_TOKEN', secret: true, disableable: true, default: false },
+    autoStart: { type: 'boolean', flag: '--auto-restart', default: false },
+    localhostOnly: { type: 'boolean', flag: '--localhost-only', default: false },
+    printer: {
+        discovery: { type: 'boolean', env: 'PRINTER_DISCOVERY', default: false },
+        maxFileSize: { type: 'integer', env: 'PRINT_MAX_FILE_SIZE', min: 1, default: 100 * 1024 * 1024 }
+    },
+    buttons: {
+        donation_button: buttonSchema('DONATION'),
+        twitter_button: buttonSchema('TWITTER'),
+        mastodon_button: buttonSchema('MASTODON'),
+        bluesky_button: buttonSchema('BLUESKY'),
+        custom_button: buttonSchema('CUSTOM'),
+        privacypolicy_button: buttonSchema('PRIVACYPOLICY')
+    }
+};
+
+function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isOption(schemaEntry) {
+    return typeof schemaEntry.type === 'string';
+}
+
+async function readConfigFile(configPath) {
+    let text;
+    try {
+        text = fs.readFileSync(configPath, 'utf8');
+    }
+    catch (e) {
+        throw new ConfigError([`PAIRDROP_CONFIG: file could not be read (${e.message})`]);
+    }
+
+    const isYaml = ['.yml', '.yaml'].includes(path.extname(configPath).toLowerCase());
+
+    let file;
+    try {
+        if (isYaml) {
+            const { parse } = await import("yaml");
+            file = parse(text);
+        }
+        else {
+            file = JSON.parse(text);
+        }
+    }
+    catch (e) {
+        throw new ConfigError([`PAIRDROP_CONFIG: file is not valid ${isYaml ? 'YAML' : 'JSON'} (${e.message})`]);
+    }
+
+    // an empty YAML file results in null
+    if (file === null || file === undefined) return {};
+
+    if (!isObject(file)) {
+        throw new ConfigError(["PAIRDROP_CONFIG: file must contain an object"]);
+    }
+
+    return file;
+}
+
+function resolveOptions(schema, file, env, argv, configPath, errors, keyPath = []) {
+    const conf = {};
+
+    for (const key in file) {
+        if (!(key in schema)) {
+            errors.push(`${[...keyPath, key].join('.')}: unknown option in ${configPath}`);
+        }
+    }
+
+    for (const key in schema) {
+        const option = schema[key];
+        const name = [...keyPath, key].join('.');
+
+        if (!isOption(option)) {
+            if (key in file && !isObject(file[key])) {
+                errors.push(`${name}: must be an object (set in ${configPath})`);
+            }
+            const group = isObject(file[key]) ? file[key] : {};
+            conf[key] = resolveOptions(option, group, env, argv, configPath, errors, [...keyPath, key]);
+            continue;
+        }
+
+        let value = option.default;
+        let source = null;
+
+        if (key in file && file[key] !== null) {
+            value = file[key];
+            source = `set in ${configPath}`;
+        }
+
+        if (option.env && env[option.env] !== undefined && env[option.env] !== "") {
+            value = env[option.env] === "false" && option.disableable
+                ? false
+                : env[option.env] === "true" && option.trueValue !== undefined
+                    ? true
+                    : TYPES[option.type].fromEnv(env[option.env]);
+            source = `set via ${option.env}`;
+        }
+
+        if (option.flag && argv.includes(option.flag)) {
+            value = true;
+            source = `set via ${option.flag}`;
+        }
+
+        if (value === true && option.trueValue !== undefined) {
+            value = option.trueValue;
+        }
+
+        if (value === undefined || value === false && option.disableable) {
+            conf[key] = value;
+            continue;
+        }
+
+        const result = TYPES[option.type].check(value, option);
+        if (result !== true) {
+            errors.push(`${name}: ${result}, got ${JSON.stringify(value)}${source ? ` (${source})` : ''}`);
+        }
+
+        conf[key] = value;
+    }
+
+    return conf;
+}
+
+// rtcConfigLoaded is null if the default config is used, otherwise a file that cannot be loaded aborts startup
+function loadRtcConfig(conf) {
+    if (!conf.rtcConfig) {
+        conf.rtcConfig = DEFAULT_RTC_CONFIG;
+        conf.rtcConfigLoaded = null;
+        return;
+    }
+
+    conf.rtcConfigLoaded = true;
+
+    if (typeof conf.rtcConfig !== 'string') return;
+
+    const rtcConfigPath = conf.rtcConfig;
+    try {
+        conf.rtcConfig = JSON.parse(fs.readFileSync(rtcConfigPath, 'utf8'));
+    }
+    catch (e) {
+        throw new ConfigError([`rtcConfig: file ${rtcConfigPath} could not be loaded (${e.message})`]);
+    }
+}
+
+export async function loadConfig(env = process.env, argv = process.argv) {
+    const configPath = env.PAIRDROP_CONFIG;
+    const file = configPath
+        ? await readConfigFile(configPath)
+        : {};
+
+    const errors = [];
+    const conf = resolveOptions(SCHEMA, file, env, argv, configPath, errors);
+
+    const rtcConfigured = !!conf.rtcConfig;
+    if (conf.signalingServer && (rtcConfigured || conf.wsFallback || conf.ipv6Localize)) {
+        errors.push("signalingServer: cannot be used alongside wsFallback, rtcConfig or ipv6Localize as these " +
+            "configurations are specified by the signaling server. " +
+            "To use this instance as the signaling server do not set signalingServer");
+    }
+
+    if (errors.length) {
+        throw new ConfigError(errors);
+    }
+
+    if (!conf.logLevel) {
+        conf.logLevel = conf.debugMode ? 'debug' : 'info';
+    }
+
+    if (conf.signalingServer && !conf.signalingServer.endsWith('/')) {
+        conf.signalingServer += "/";
+    }
+
+    // the client expects the values of environment variables
+    for (const button in conf.buttons) {
+        if (conf.buttons[button].active !== undefined) {
+            conf.buttons[button].active = `${conf.buttons[button].active}`;
+        }
+    }
+
+    loadRtcConfig(conf);
+
+    return conf;
+}
+
+function redactUrl(value) {
+    try {
+        const url = new URL(value);
+        if (url.password) {
+            url.password = 'redacted';
+        }
+        return url.toString();
+    }
+    catch (e) {
+        return '[redacted]';
+    }
+}
+
+function redactOptions(schema, conf) {
+    const redacted = {...conf};
+
+    for (const key in schema) {
+        const option = schema[key];
+
+        if (!isOption(option)) {
+            redacted[key] = redactOptions(option, conf[key]);
+        }
+        else if (option.secret === 'url' && conf[key]) {
+            redacted[key] = redactUrl(conf[key]);
+        }
+        else if (option.secret && conf[key]) {
+            redacted[key] = '[redacted]';
+        }
+    }
+
+    // TURN servers contain credentials
+    if (conf.rtcConfig && Array.isArray(conf.rtcConfig.iceServers)) {
+        redacted.rtcConfig = {
+            ...conf.rtcConfig,
+            iceServers: conf.rtcConfig.iceServers.map(server => server.credential
+                ? {...server, credential: '[redacted]'}
+                : server)
+        };
+    }
+
+    return redacted;
+}
+
+// Returns a copy of the configuration that can be logged or printed
+export function redactConfig(conf) {
+    return redactOptions(SCHEMA, conf);
+}
@@ -0,0 +1,152 @@
+// Structured logger with levels, writing either JSON lines or human-readable lines.
+// Configured once via configureLogger() at startup, loggers created before that pick up the configuration on write.
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+};
+
+const FORMATS = ['pretty', 'json'];
+
+// fields that contain IP addresses of peers
+const IP_FIELDS = ['ip', 'remoteAddress', 'forwardedFor', 'connectingIp'];
+
+const config = {
+    level: LEVELS.info,
+    format: 'pretty',
+    redactIps: true
+};
+
+export function configureLogger({ level, format, redactIps }) {
+    if (level !== undefined) {
+        if (!(level in LEVELS)) {
+            throw new Error(`LOG_LEVEL must be one of ${Object.keys(LEVELS).join(', ')}`);
+        }
+        config.level = LEVELS[level];
+    }
+
+    if (format !== undefined) {
+        if (!FORMATS.includes(format)) {
+            throw new Error(`LOG_FORMAT must be one of ${FORMATS.join(', ')}`);
+        }
+        config.format = format;
+    }
+
+    if (redactIps !== undefined) {
+        config.redactIps = redactIps;
+    }
+}
+
+class Logger {
+
+    constructor(fields = {}) {
+        this._fields = fields;
+    }
+
+    child(fields) {
+        return new Logger({...this._fields, ...fields});
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] >= config.level;
+    }
+
+    debug(msg, fields) {
+        this._log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this._log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this._log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this._log('error', msg, fields);
+    }
+
+    _log(level, msg, fields = {}) {
+        if (!this.isLevelEnabled(level)) return;
+
+        const entry = {
+            time: new Date().toISOString(),
+            level: level,
+            msg: msg,
+            ...this._fields,
+            ...Logger._serializeFields(fields)
+        };
+
+        const line = config.format === 'json'
+            ? JSON.stringify(entry)
+            : Logger._formatPretty(entry);
+
+        const stream = LEVELS[level] >= LEVELS.warn
+            ? process.stderr
+            : process.stdout;
+
+        stream.write(line + '\n');
+    }
+
+    static _serializeFields(fields) {
+        const serialized = {};
+
+        for (const key in fields) {
+            let value = fields[key];
+
+            if (value instanceof Error) {
+                value = {
+                    name: value.name,
+                    message: value.message,
+                    stack: value.stack
+                };
+            }
+            else if (config.redactIps && IP_FIELDS.includes(key) && value) {
+                value = '[redacted]';
+            }
+
+            serialized[key] = value;
+        }
+
+        return serialized;
+    }
+
+    static _formatPretty(entry) {
+        const { time, level, msg, component, ...fields } = entry;
+
+        let line = `${time} ${level.toUpperCase().padEnd(5)}`;
+
+        if (component) {
+            line += ` [${component}]`;
+        }
+
+        line += ` ${msg}`;
+
+        let stack;
+        for (const key in fields) {
+            let value = fields[key];
+
+            if (value === undefined) continue;
+
+            if (value && value.stack) {
+                stack = value.stack;
+                value = value.message;
+            }
+
+            line += ` ${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`;
+        }
+
+        return stack
+            ? `${line}\n${stack}`
+            : line;
+    }
+}
+
+// component names the part of the server the log entries belong to, e.g. 'ws-server'
+export default function getLogger(component) {
+    return new Logger({ component: component });
+}
@@ -0,0 +1,159 @@
+import crypto from "crypto";
+
+// Minimal implementation of the Prometheus text exposition format
+// See https://prometheus.io/docs/instrumenting/exposition_formats/
+
+class Metric {
+
+    constructor(name, help, type, labelValues = []) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this._collect = null;
+        this._values = new Map(); // { serializedLabels: value }
+
+        // initialize known label values so that their series exist before the first event
+        labelValues.forEach(labels => this._values.set(Metric._serializeLabels(labels), 0));
+    }
+
+    static _serializeLabels(labels) {
+        const serialized = Object.keys(labels)
+            .sort()
+            .map(key => {
+                const value = `${labels[key]}`
+                    .replace(/\\/g, '\\\\')
+                    .replace(/\n/g, '\\n')
+                    .replace(/"/g, '\\"');
+                return `${key}="${value}"`;
+            })
+            .join(',');
+
+        return serialized ? `{${serialized}}` : '';
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = Metric._serializeLabels(labels);
+        this._values.set(key, (this._values.get(key) || 0) + value);
+    }
+
+    dec(labels = {}, value = 1) {
+        this.inc(labels, -value);
+    }
+
+    set(labels = {}, value) {
+        this._values.set(Metric._serializeLabels(labels), value);
+    }
+
+    // collect(metric) is called on every scrape to update values that are cheaper to read than to track.
+    // It may return a promise.
+    onCollect(collect) {
+        this._collect = collect;
+    }
+
+    async collect() {
+        if (this._collect) await this._collect(this);
+    }
+
+    render() {
+        const lines = [
+            `# HELP ${this.name} ${this.help}`,
+            `# TYPE ${this.name} ${this.type}`
+        ];
+
+        if (!this._values.size) {
+            lines.push(`${this.name} 0`);
+        }
+
+        this._values.forEach((value, labels) => lines.push(`${this.name}${labels} ${value}`));
+
+        return lines.join('\n');
+    }
+}
+
+export default class Metrics {
+
+    constructor(conf) {
+        this._conf = conf;
+        this._metrics = [];
+
+        this.connectedPeers = this._gauge(
+            'pairdrop_connected_peers',
+            'Number of peers connected to this instance via websocket.'
+        );
+        this.rooms = this._gauge(
+            'pairdrop_rooms',
+            'Number of rooms by type. With a shared room broker, every instance reports the rooms of all instances.',
+            [{type: 'ip'}, {type: 'secret'}, {type: 'public-id'}]
+        );
+        this.pairDeviceInitiations = this._counter(
+            'pairdrop_pair_device_initiations_total',
+            'Number of pair keys created to pair devices.'
+        );
+        this.pairDeviceJoins = this._counter(
+            'pairdrop_pair_device_joins_total',
+            'Number of devices paired successfully by entering a pair key.'
+        );
+        this.rateLimitHits = this._counter(
+            'pairdrop_rate_limit_hits_total',
+            'Number of requests rejected by a rate limit by source: HTTP requests or attempts to join a room via key.',
+            [{source: 'http'}, {source: 'websocket'}]
+        );
+        this.wsRelayedBytes = this._counter(
+            'pairdrop_ws_relayed_bytes_total',
+            'Number of file bytes relayed via the websocket fallback, encrypted or not.'
+        );
+        this.printersOnline = this._gauge(
+            'pairdrop_printers_online',
+            'Number of discovered printers that are online.'
+        );
+        this.printJobs = this._counter(
+            'pairdrop_print_jobs_total',
+            'Number of submitted print jobs by outcome.',
+            [{outcome: 'success'}, {outcome: 'error'}]
+        );
+    }
+
+    _gauge(name, help, labelValues) {
+        return this._addMetric(new Metric(name, help, 'gauge', labelValues));
+    }
+
+    _counter(name, help, labelValues) {
+        return this._addMetric(new Metric(name, help, 'counter', labelValues));
+    }
+
+    _addMetric(metric) {
+        this._metrics.push(metric);
+        return metric;
+    }
+
+    isEnabled() {
+        return this._conf.metrics;
+    }
+
+    observePrinterService(printerService) {
+        if (!printerService.isEnabled()) return;
+
+        this.printersOnline.onCollect(metric => metric.set({}, printerService.getOnlinePrinters().length));
+
+        printerService.on('print-job-succeeded', () => this.printJobs.inc({outcome: 'success'}));
+        printerService.on('print-job-failed', () => this.printJobs.inc({outcome: 'error'}));
+    }
+
+    // Requests need to authenticate via `Authorization: Bearer <METRICS_TOKEN>` if METRICS_TOKEN is set
+    isAuthorized(req) {
+        if (!this._conf.metricsToken) return true;
+
+        const authorization = req.get('Authorization') || '';
+        const token = authorization.replace(/^Bearer\s+/i, '');
+
+        // compare digests to ensure constant time comparison of equally sized buffers
+        const digest = value => crypto.createHash('sha256').update(value).digest();
+        return crypto.timingSafeEqual(digest(token), digest(this._conf.metricsToken));
+    }
+
+    async render() {
+        await Promise.all(this._metrics.map(metric => metric.collect()));
+
+        return this._metrics.map(metric => metric.render()).join('\n\n') + '\n';
+    }
+}
@@ -2,6 +2,9 @@ import crypto from "crypto";
 import parser from "ua-parser-js";
 import {animals, colors, uniqueNamesGenerator} from "unique-names-generator";
 import {cyrb53, hasher} from "./helper.js";
+import getLogger from "./logger.js";
+
+const log = getLogger('peer');
 
 export default class Peer {
 
@@ -32,8 +35,8 @@ export default class Peer {
     }
 
     rateLimitReached() {
-        // rate limit implementation: max 10 attempts every 10s
-        if (this.requestRate >= 10) {
+        // rate limit implementation: max JOIN_RATE_LIMIT attempts every 10s
+        if (this.requestRate >= this.conf.joinRateLimit) {
             return true;
         }
         this.requestRate += 1;
@@ -63,19 +66,16 @@ export default class Peer {
             ipv6_was_localized = true;
         }
 
-        if (this.conf.debugMode) {
-            console.debug("\n");
-            console.debug("----DEBUGGING-PEER-IP-START----");
-            console.debug("remoteAddress:", request.connection.remoteAddress);
-            console.debug("x-forwarded-for:", request.headers['x-forwarded-for']);
-            console.debug("cf-connecting-ip:", request.headers['cf-connecting-ip']);
-            if (ipv6_was_localized) {
-                console.debug("IPv6 client IP was localized to", this.conf.ipv6Localize, this.conf.ipv6Localize > 1 ? "segments" : "segment");
-            }
-            console.debug("PairDrop uses:", this.ip);
-            console.debug("IP is private:", this.ipIsPrivate(this.ip));
-            console.debug("if IP is private, '127.0.0.1' is used instead");
-            console.debug("----DEBUGGING-PEER-IP-END----");
+        // IPs are redacted unless DEBUG_MODE is active. If the IP is private, '127.0.0.1' is used instead
+        if (log.isLevelEnabled('debug')) {
+            log.debug("Peer IP evaluated", {
+                remoteAddress: request.socket.remoteAddress,
+                forwardedFor: request.headers['x-forwarded-for'],
+                connectingIp: request.headers['cf-connecting-ip'],
+                ipv6LocalizedSegments: ipv6_was_localized ? this.conf.ipv6Localize : undefined,
+                ip: this.ip,
+                ipIsPrivate: this.ipIsPrivate(this.ip)
+            });
         }
 
         // IPv4 and IPv6 use different values to refer to localhost
@@ -134,6 +134,9 @@ export default class Peer {
         } else {
             this.id = crypto.randomUUID();
         }
+
+        // used to correlate log entries of a peer. Unlike peer_id_hash, it cannot be used to claim the peer id
+        this.idHash = crypto.createHash("sha256").update(this.id).digest("hex").substring(0, 16);
     }
 
     _setRtcSupported(request) {
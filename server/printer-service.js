@@ -8,6 +8,9 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { PWGRasterEncoder } from './pwg-raster.js';
+import getLogger from './logger.js';
+
+const log = getLogger('printer-service');
 
 // IPP Printer State Constants
 const PRINTER_STATE_IDLE = 3;
@@ -16,7 +19,7 @@ const PRINTER_STATE_STOPPED = 5;
 
 /**
  * PrinterService - Discovers network printers and manages print jobs
- * Emits events: 'printer-added', 'printer-removed', 'printer-updated'
+ * Emits events: 'printer-added', 'printer-removed', 'printer-updated', 'print-job-succeeded', 'print-job-failed'
  */
 export default class PrinterService extends EventEmitter {
     constructor(conf) {
@@ -26,22 +29,28 @@ export default class PrinterService extends EventEmitter {
         this._bonjour = null;
         this._browser = null;
         this._refreshInterval = null;
-        this._enabled = process.env.PRINTER_DISCOVERY === "true";
+        this._discoveryStarted = false;
+        this._enabled = conf.printer.discovery;
         this._httpsAgent = new https.Agent({ rejectUnauthorized: false });
         this._cupsPrinters = new Map(); // Maps mDNS printer names to CUPS queue names
         this._cupsPrinterQueues = []; // List of available CUPS queues
 
         if (this._enabled) {
-            this._startDiscovery();
+            try {
+                this._startDiscovery();
+            } catch (err) {
+                // the server keeps running without printers, /readyz reports the failure
+                log.error('Printer discovery could not be started', { err: err });
+            }
         } else {
-            console.log('Printer discovery disabled. Set PRINTER_DISCOVERY=true to enable.');
+            log.info('Printer discovery disabled. Set PRINTER_DISCOVERY=true to enable.');
         }
     }
 
     _startDiscovery() {
-        console.log('Starting printer discovery...');
+        log.info('Starting printer discovery...');
         if (process.platform === 'darwin') {
-            console.log('  (macOS: run with "npm start" on the host, not in Docker. If no printers appear, allow Node in System Settings > Network > Firewall, and ensure printer is on the same Wi‑Fi/LAN.)');
+            log.info('macOS: run with "npm start" on the host, not in Docker. If no printers appear, allow Node in System Settings > Network > Firewall, and ensure printer is on the same Wi‑Fi/LAN.');
         }
         
         // Detect CUPS printers for mapping
@@ -65,6 +74,8 @@ export default class PrinterService extends EventEmitter {
         this._refreshInterval = setInterval(() => {
             this._refreshPrinterStatus();
         }, 30000); // Check every 30 seconds
+
+        this._discoveryStarted = true;
     }
 
     _onPrinterDiscovered(service) {
@@ -102,20 +113,20 @@ export default class PrinterService extends EventEmitter {
 
         this._printers.set(printerId, printerInfo);
 
-        console.log('Printer discovered:', printerInfo.name, printerInfo.uri);
+        log.info('Printer discovered', { printerId: printerId, printerName: printerInfo.name, uri: printerInfo.uri });
         
         // Try to map to CUPS queue
         const cupsQueue = this._mapPrinterToCUPS(printerInfo);
         if (cupsQueue) {
             this._cupsPrinters.set(printerId, cupsQueue);
-            console.log('  Mapped to CUPS queue:', cupsQueue);
+            log.info('Printer mapped to CUPS queue', { printerId: printerId, cupsQueue: cupsQueue });
         }
 
         // Fetch printer capabilities
         this._fetchPrinterCapabilities(printerInfo).then(() => {
             this.emit('printer-added', printerInfo);
         }).catch(err => {
-            if (err.message !== 'Data required') console.error('Error fetching printer capabilities:', err);
+            if (err.message !== 'Data required') log.error('Error fetching printer capabilities', { printerId: printerId, err: err });
             this.emit('printer-added', printerInfo);
         });
     }
@@ -177,7 +188,7 @@ export default class PrinterService extends EventEmitter {
                             resolve();
                             return;
                         }
-                        console.error('Error getting printer attributes:', err);
+                        log.error('Error getting printer attributes', { printerId: printer.id, err: err });
                         reject(err);
                         return;
                     }
@@ -205,12 +216,12 @@ export default class PrinterService extends EventEmitter {
 
                         resolve();
                     } catch (parseErr) {
-                        console.error('Error parsing printer attributes:', parseErr);
+                        log.error('Error parsing printer attributes', { printerId: printer.id, err: parseErr });
                         reject(parseErr);
                     }
                 });
             } catch (err) {
-                console.error('Error in _fetchPrinterCapabilities:', err);
+                log.error('Error fetching printer capabilities', { printerId: printer.id, err: err });
                 reject(err);
             }
         });
@@ -246,7 +257,7 @@ export default class PrinterService extends EventEmitter {
                         // Don't mark offline immediately on IPP errors;
                         // mDNS presence is sufficient. Only timeout marks offline.
                         if (err.message !== 'Data required') {
-                            console.warn(`Printer ${printer.name} IPP check failed (keeping online via mDNS):`, err.message);
+                            log.warn('Printer IPP check failed (keeping online via mDNS)', { printerId: printer.id, error: err.message });
                         }
                     }
                 }
@@ -254,7 +265,21 @@ export default class PrinterService extends EventEmitter {
         }
     }
 
+    // Failed print jobs are logged here only, callers merely report the error back
     async submitPrintJob(printerId, fileBuffer, fileName, options = {}) {
+        try {
+            const result = await this._submitPrintJob(printerId, fileBuffer, fileName, options);
+            log.info('Print job succeeded', { printerId: printerId, jobId: result.jobId, jobState: result.jobState });
+            this.emit('print-job-succeeded', printerId, result);
+            return result;
+        } catch (err) {
+            log.error('Print job failed', { printerId: printerId, err: err });
+            this.emit('print-job-failed', printerId, err);
+            throw err;
+        }
+    }
+
+    async _submitPrintJob(printerId, fileBuffer, fileName, options = {}) {
         const printer = this._printers.get(printerId);
 
         if (!printer) {
@@ -332,7 +357,7 @@ export default class PrinterService extends EventEmitter {
                 ipp.request(opts, serialized, (err, res) => {
                     if (err) {
                         if (err.message === 'Data required') {
-                            console.log('Print job sent to', printer.name, '(printer response not parsed)');
+                            log.debug('Print job sent (printer response not parsed)', { printerId: printer.id });
                             resolve({
                                 jobId: null,
                                 jobState: 'unknown',
@@ -343,7 +368,7 @@ export default class PrinterService extends EventEmitter {
                         }
                         // Some printers return 426 but the job was already sent; treat as success
                         if (err.message && (err.message.includes('426') || (isRetry && err.code === 'EPIPE'))) {
-                            console.log('Print job sent to', printer.name, '(printer returned 426 or connection error after 426)');
+                            log.debug('Print job sent (printer returned 426 or connection error after 426)', { printerId: printer.id });
                             resolve({
                                 jobId: null,
                                 jobState: 'unknown',
@@ -352,7 +377,6 @@ export default class PrinterService extends EventEmitter {
                             });
                             return;
                         }
-                        console.error('Error submitting print job:', err);
                         reject(err);
                         return;
                     }
@@ -369,7 +393,6 @@ export default class PrinterService extends EventEmitter {
                             printerName: printer.name
                         });
                     } catch (parseErr) {
-                        console.error('Error parsing print job response:', parseErr);
                         reject(parseErr);
                     }
                 });
@@ -392,11 +415,11 @@ export default class PrinterService extends EventEmitter {
     }
 
     async _submitPrintJobAsPWGRaster(printer, fileBuffer, fileName, options = {}) {
-        console.log('Converting image to PWG Raster for', printer.name);
+        log.debug('Converting image to PWG Raster', { printerId: printer.id });
         
         try {
             const pwgBuffer = await PWGRasterEncoder.encode(fileBuffer, options);
-            console.log('PWG Raster conversion complete, size:', pwgBuffer.length, 'bytes');
+            log.debug('PWG Raster conversion complete', { printerId: printer.id, size: pwgBuffer.length });
             
             // Submit as PWG Raster
             return this._submitPrintJobViaIPP(printer, pwgBuffer, fileName, {
@@ -404,7 +427,6 @@ export default class PrinterService extends EventEmitter {
                 mimeType: 'image/pwg-raster'
             });
         } catch (err) {
-            console.error('PWG Raster conversion failed:', err);
             throw new Error(`Cannot convert image to printer format: ${err.message}`);
         }
     }
@@ -423,7 +445,7 @@ export default class PrinterService extends EventEmitter {
                 if (match) {
                     const cupsName = match[1];
                     cupsQueues.push(cupsName);
-                    console.log('  Found CUPS printer:', cupsName);
+                    log.info('Found CUPS printer', { cupsQueue: cupsName });
                 }
             });
             
@@ -465,9 +487,9 @@ export default class PrinterService extends EventEmitter {
             if (!cupsName) {
                 // Fallback: sanitize printer name to match likely CUPS queue name
                 cupsName = printer.name.replace(/[^a-zA-Z0-9_-]/g, '_');
-                console.log('No CUPS queue match found, using sanitized name:', cupsName);
+                log.debug('No CUPS queue match found, using sanitized name', { printerId: printer.id, cupsQueue: cupsName });
             } else {
-                console.log('Matched to CUPS queue:', cupsName);
+                log.debug('Matched to CUPS queue', { printerId: printer.id, cupsQueue: cupsName });
             }
             
             // Write to temp file
@@ -477,7 +499,7 @@ export default class PrinterService extends EventEmitter {
             const copies = options.copies || 1;
             const cmd = `lp -d "${cupsName}" -n ${copies} "${tempFile}"`;
             
-            console.log('Submitting via CUPS to queue:', cupsName);
+            log.debug('Submitting via CUPS', { printerId: printer.id, cupsQueue: cupsName });
             
             exec(cmd, {timeout: 30000}, (error, stdout, stderr) => {
                 // Clean up temp file
@@ -486,17 +508,16 @@ export default class PrinterService extends EventEmitter {
                 } catch (_) {}
                 
                 if (error) {
-                    console.error('CUPS print error:', error.message);
-                    console.error('stderr:', stderr);
+                    log.debug('CUPS print error', { printerId: printer.id, cupsQueue: cupsName, stderr: stderr });
                     reject(new Error(`CUPS error: ${stderr || error.message}`));
                     return;
                 }
                 
-                console.log('CUPS print successful:', stdout.trim());
-                
                 // Parse job ID from stdout like "request id is EPSON_L3250_Series_2-27 (1 file(s))"
                 const match = stdout.match(/request id is ([^ ]+)/);
                 const jobId = match ? match[1] : null;
+
+                log.debug('CUPS print successful', { printerId: printer.id, jobId: jobId, stdout: stdout.trim() });
                 
                 resolve({
                     jobId,
@@ -512,6 +533,10 @@ export default class PrinterService extends EventEmitter {
         return this._enabled;
     }
 
+    isDiscoveryStarted() {
+        return this._discoveryStarted;
+    }
+
     destroy() {
         if (this._refreshInterval) {
             clearInterval(this._refreshInterval);
@@ -1,3 +1,7 @@
+import getLogger from './logger.js';
+
+const log = getLogger('pwg-raster');
+
 /**
  * PWG Raster encoder for IPP printing
  * Converts images to PWG Raster format (RFC 6750) that most network printers support
@@ -21,7 +25,7 @@ export class PWGRasterEncoder {
         const metadata = await image.metadata();
         
         if (metadata.width > maxDimension || metadata.height > maxDimension) {
-            console.log(`Resizing image from ${metadata.width}x${metadata.height} for printer compatibility`);
+            log.debug('Resizing image for printer compatibility', { width: metadata.width, height: metadata.height });
             image = image.resize(maxDimension, maxDimension, { 
                 fit: 'inside',
                 withoutEnlargement: true 
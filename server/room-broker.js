@@ -0,0 +1,475 @@
+import { EventEmitter } from "events";
+
+import getLogger from "./logger.js";
+
+const log = getLogger('room-broker');
+
+// The room broker holds the rooms and pair keys and delivers messages to peers by their id.
+// Sockets and keep-alive timers stay with the instance a peer is connected to, everything else
+// can be shared between several signaling server instances by using the PubSubRoomBroker.
+
+class RoomBroker {
+
+    constructor() {
+        this._localPeerIds = new Set();
+        this._onPeerMessage = () => {};
+    }
+
+    // handler(peerId, message) is called for messages to peers connected to this instance
+    onPeerMessage(handler) {
+        this._onPeerMessage = handler;
+    }
+
+    async addLocalPeer(peerId) {
+        this._localPeerIds.add(peerId);
+    }
+
+    async removeLocalPeer(peerId) {
+        this._localPeerIds.delete(peerId);
+    }
+
+    isReady() {
+        return true;
+    }
+
+    async close() {}
+}
+
+export class InMemoryRoomBroker extends RoomBroker {
+
+    constructor() {
+        super();
+
+        this._rooms = {}; // { roomId: { peerId: peerInfo } }
+        this._roomTypes = {}; // { roomId: roomType }
+        this._pairKeys = {}; // { pairKey: { roomSecret, creatorId } }
+    }
+
+    async joinRoom(roomId, peerInfo, roomType) {
+        if (!this._rooms[roomId]) {
+            this._rooms[roomId] = {};
+            this._roomTypes[roomId] = roomType;
+        }
+        this._rooms[roomId][peerInfo.id] = peerInfo;
+    }
+
+    async leaveRoom(roomId, peerId) {
+        if (!this._rooms[roomId] || !this._rooms[roomId][peerId]) return false;
+
+        delete this._rooms[roomId][peerId];
+
+        // delete room if empty
+        if (!Object.keys(this._rooms[roomId]).length) {
+            await this.deleteRoom(roomId);
+        }
+        return true;
+    }
+
+    async getRoomPeers(roomId) {
+        return Object.values(this._rooms[roomId] || {});
+    }
+
+    async isInRoom(roomId, peerId) {
+        return !!this._rooms[roomId] && peerId in this._rooms[roomId];
+    }
+
+    async roomExists(roomId) {
+        return !!this._rooms[roomId];
+    }
+
+    async deleteRoom(roomId) {
+        delete this._rooms[roomId];
+        delete this._roomTypes[roomId];
+    }
+
+    async countRooms() {
+        const counts = {};
+        Object.values(this._roomTypes).forEach(roomType => counts[roomType] = (counts[roomType] || 0) + 1);
+        return counts;
+    }
+
+    async addPairKey(pairKey, pairing) {
+        if (pairKey in this._pairKeys) return false;
+
+        this._pairKeys[pairKey] = pairing;
+        return true;
+    }
+
+    async getPairKey(pairKey) {
+        return this._pairKeys[pairKey] || null;
+    }
+
+    async removePairKey(pairKey) {
+        if (!(pairKey in this._pairKeys)) return false;
+
+        delete this._pairKeys[pairKey];
+        return true;
+    }
+
+    async send(peerId, message) {
+        if (!this._localPeerIds.has(peerId)) return;
+
+        this._onPeerMessage(peerId, message);
+    }
+}
+
+export class PubSubRoomBroker extends RoomBroker {
+
+    // client and subscriber follow the API of node-redis. A separate subscriber connection is needed
+    // as a connection in subscriber mode cannot issue other commands.
+    // Keys of rooms, pair keys and peers expire after ttl milliseconds unless the instance holding the peers
+    // refreshes them. This way, peers of an instance that crashed do not stay in shared rooms.
+    constructor(client, subscriber, prefix = 'pairdrop', ttl = 30000) {
+        super();
+
+        this._client = client;
+        this._subscriber = subscriber;
+        this._prefix = prefix;
+        this._ttl = ttl;
+
+        this._localRoomIds = new Map(); // { peerId: Set(roomId) } of rooms joined by peers of this instance
+        this._localPairKeys = new Set(); // pair keys created by peers of this instance
+
+        this._heartbeatTimer = setInterval(() => {
+            this._heartbeat().catch(e => log.error("Refreshing shared keys failed", { err: e }));
+        }, ttl / 3);
+        this._heartbeatTimer.unref();
+    }
+
+    _roomKey(roomId) {
+        return `${this._prefix}:room:${roomId}`;
+    }
+
+    _roomTypesKey() {
+        return `${this._prefix}:room-types`;
+    }
+
+    _pairKeyKey(pairKey) {
+        return `${this._prefix}:pair-key:${pairKey}`;
+    }
+
+    _presenceKey(peerId) {
+        return `${this._prefix}:presence:${peerId}`;
+    }
+
+    _peerChannel(peerId) {
+        return `${this._prefix}:peer:${peerId}`;
+    }
+
+    async _heartbeat() {
+        const roomIds = new Set();
+        this._localRoomIds.forEach(peerRoomIds => peerRoomIds.forEach(roomId => roomIds.add(roomId)));
+
+        await Promise.all([
+            ...[...this._localPeerIds].map(peerId => this._setPresence(peerId)),
+            ...[...roomIds].map(roomId => this._client.pExpire(this._roomKey(roomId), this._ttl)),
+            ...[...this._localPairKeys].map(pairKey => this._client.pExpire(this._pairKeyKey(pairKey), this._ttl))
+        ]);
+    }
+
+    _setPresence(peerId) {
+        return this._client.set(this._presenceKey(peerId), '1', { PX: this._ttl });
+    }
+
+    async _isPresent(peerId) {
+        if (this._localPeerIds.has(peerId)) return true;
+
+        return await this._client.exists(this._presenceKey(peerId)) > 0;
+    }
+
+    async addLocalPeer(peerId) {
+        // peer reconnected to this instance
+        if (this._localPeerIds.has(peerId)) return;
+
+        await super.addLocalPeer(peerId);
+        await this._setPresence(peerId);
+        await this._subscriber.subscribe(this._peerChannel(peerId), message => this._onChannelMessage(peerId, message));
+    }
+
+    async removeLocalPeer(peerId) {
+        if (!this._localPeerIds.has(peerId)) return;
+
+        await super.removeLocalPeer(peerId);
+        this._localRoomIds.delete(peerId);
+        await this._client.del(this._presenceKey(peerId));
+        await this._subscriber.unsubscribe(this._peerChannel(peerId));
+    }
+
+    _onChannelMessage(peerId, message) {
+        try {
+            message = JSON.parse(message);
+        } catch (e) {
+            log.warn("Received JSON is malformed");
+            return;
+        }
+
+        this._onPeerMessage(peerId, message);
+    }
+
+    async joinRoom(roomId, peerInfo, roomType) {
+        await this._client.hSet(this._roomKey(roomId), peerInfo.id, JSON.stringify(peerInfo));
+        await this._client.pExpire(this._roomKey(roomId), this._ttl);
+        await this._client.hSet(this._roomTypesKey(), roomId, roomType);
+
+        if (!this._localPeerIds.has(peerInfo.id)) return;
+
+        if (!this._localRoomIds.has(peerInfo.id)) {
+            this._localRoomIds.set(peerInfo.id, new Set());
+        }
+        this._localRoomIds.get(peerInfo.id).add(roomId);
+    }
+
+    async leaveRoom(roomId, peerId) {
+        if (this._localRoomIds.has(peerId)) {
+            this._localRoomIds.get(peerId).delete(roomId);
+        }
+
+        // hashes are deleted automatically once their last field is removed
+        return await this._client.hDel(this._roomKey(roomId), peerId) > 0;
+    }
+
+    async getRoomPeers(roomId) {
+        const peers = Object.values(await this._client.hGetAll(this._roomKey(roomId)) || {})
+            .map(peerInfo => JSON.parse(peerInfo));
+
+        const present = await Promise.all(peers.map(peer => this._isPresent(peer.id)));
+
+        // remove peers of instances that stopped without leaving their rooms
+        for (let i = 0; i < peers.length; i++) {
+            if (present[i]) continue;
+
+            log.debug("Removing peer of a stopped instance from room", { roomId: roomId });
+            await this._client.hDel(this._roomKey(roomId), peers[i].id);
+        }
+
+        return peers.filter((_, i) => present[i]);
+    }
+
+    async isInRoom(roomId, peerId) {
+        return !!await this._client.hExists(this._roomKey(roomId), peerId);
+    }
+
+    async roomExists(roomId) {
+        return (await this.getRoomPeers(roomId)).length > 0;
+    }
+
+    async deleteRoom(roomId) {
+        this._localRoomIds.forEach(peerRoomIds => peerRoomIds.delete(roomId));
+        await this._client.del(this._roomKey(roomId));
+        await this._client.hDel(this._roomTypesKey(), roomId);
+    }
+
+    // Counts the rooms of all instances. Types of rooms that were emptied or expired are removed lazily.
+    async countRooms() {
+        const roomTypes = await this._client.hGetAll(this._roomTypesKey()) || {};
+        const roomIds = Object.keys(roomTypes);
+        const exists = await Promise.all(roomIds.map(roomId => this._client.exists(this._roomKey(roomId))));
+
+        const counts = {};
+        for (let i = 0; i < roomIds.length; i++) {
+            if (!exists[i]) {
+                await this._client.hDel(this._roomTypesKey(), roomIds[i]);
+                continue;
+            }
+
+            const roomType = roomTypes[roomIds[i]];
+            counts[roomType] = (counts[roomType] || 0) + 1;
+        }
+        return counts;
+    }
+
+    async addPairKey(pairKey, pairing) {
+        const result = await this._client.set(this._pairKeyKey(pairKey), JSON.stringify(pairing), { NX: true, PX: this._ttl });
+        if (result !== 'OK') return false;
+
+        if (this._localPeerIds.has(pairing.creatorId)) {
+            this._localPairKeys.add(pairKey);
+        }
+        return true;
+    }
+
+    async getPairKey(pairKey) {
+        const pairing = await this._client.get(this._pairKeyKey(pairKey));
+        return pairing ? JSON.parse(pairing) : null;
+    }
+
+    async removePairKey(pairKey) {
+        this._localPairKeys.delete(pairKey);
+        return await this._client.del(this._pairKeyKey(pairKey)) > 0;
+    }
+
+    async send(peerId, message) {
+        // skip the round trip for peers connected to this instance
+        if (this._localPeerIds.has(peerId)) {
+            this._onPeerMessage(peerId, message);
+            return;
+        }
+
+        await this._client.publish(this._peerChannel(peerId), JSON.stringify(message));
+    }
+
+    isReady() {
+        return this._client.isReady !== false && this._subscriber.isReady !== false;
+    }
+
+    async close() {
+        clearInterval(this._heartbeatTimer);
+
+        // the peers of this instance are removed from the shared rooms by the remaining instances
+        await Promise.all([...this._localPeerIds].map(peerId => this._client.del(this._presenceKey(peerId))));
+
+        await Promise.all([this._client.quit(), this._subscriber.quit()]);
+    }
+}
+
+// Local stand-in for the pub/sub backend. Instances created via duplicate() share their data and channels,
+// so that several brokers in one process behave like signaling servers connected to the same Redis server.
+export class MemoryPubSubBackend {
+
+    constructor(store = new Map(), expirations = new Map(), bus = new EventEmitter()) {
+        this._store = store;
+        this._expirations = expirations; // { key: timestamp }
+        this._bus = bus;
+        this._bus.setMaxListeners(0);
+        this._listeners = new Map(); // { channel: listener } of this connection
+
+        this.isReady = true;
+    }
+
+    duplicate() {
+        return new MemoryPubSubBackend(this._store, this._expirations, this._bus);
+    }
+
+    _assertReady() {
+        if (!this.isReady) throw new Error("The client is closed");
+    }
+
+    // keys are removed lazily once they expired
+    _get(key) {
+        this._assertReady();
+
+        if (this._expirations.has(key) && this._expirations.get(key) <= Date.now()) {
+            this._store.delete(key);
+            this._expirations.delete(key);
+        }
+        return this._store.get(key);
+    }
+
+    _delete(key) {
+        this._expirations.delete(key);
+        return this._store.delete(key);
+    }
+
+    async connect() {}
+
+    async quit() {
+        for (const channel of [...this._listeners.keys()]) {
+            await this.unsubscribe(channel);
+        }
+        this.isReady = false;
+    }
+
+    async hSet(key, field, value) {
+        if (!this._get(key)) {
+            this._store.set(key, {});
+        }
+        const isNew = !(field in this._store.get(key));
+        this._store.get(key)[field] = value;
+        return isNew ? 1 : 0;
+    }
+
+    async hDel(key, field) {
+        const hash = this._get(key);
+        if (!hash || !(field in hash)) return 0;
+
+        delete hash[field];
+        if (!Object.keys(hash).length) {
+            this._delete(key);
+        }
+        return 1;
+    }
+
+    async hGetAll(key) {
+        return {...this._get(key)};
+    }
+
+    async hExists(key, field) {
+        const hash = this._get(key);
+        return !!hash && field in hash;
+    }
+
+    async exists(key) {
+        return this._get(key) !== undefined ? 1 : 0;
+    }
+
+    async del(key) {
+        return this._get(key) !== undefined && this._delete(key) ? 1 : 0;
+    }
+
+    async set(key, value, options = {}) {
+        if (options.NX && this._get(key) !== undefined) return null;
+
+        this._delete(key);
+        this._store.set(key, value);
+        if (options.PX) {
+            this._expirations.set(key, Date.now() + options.PX);
+        }
+        return 'OK';
+    }
+
+    async get(key) {
+        const value = this._get(key);
+        return value !== undefined ? value : null;
+    }
+
+    async pExpire(key, milliseconds) {
+        if (this._get(key) === undefined) return 0;
+
+        this._expirations.set(key, Date.now() + milliseconds);
+        return 1;
+    }
+
+    async publish(channel, message) {
+        this._assertReady();
+
+        const receivers = this._bus.listenerCount(channel);
+        // deliver asynchronously like a network round trip would
+        setImmediate(() => this._bus.emit(channel, message));
+        return receivers;
+    }
+
+    async subscribe(channel, listener) {
+        await this.unsubscribe(channel);
+
+        this._listeners.set(channel, listener);
+        this._bus.on(channel, listener);
+    }
+
+    async unsubscribe(channel) {
+        if (!this._listeners.has(channel)) return;
+
+        this._bus.off(channel, this._listeners.get(channel));
+        this._listeners.delete(channel);
+    }
+}
+
+export async function createRoomBroker(conf) {
+    if (conf.roomBroker !== 'redis') {
+        return new InMemoryRoomBroker();
+    }
+
+    // only loaded if needed
+    const redis = await import("redis");
+
+    const client = redis.createClient({ url: conf.redisUrl });
+    const subscriber = client.duplicate();
+
+    client.on('error', e => log.error("Redis client error", { err: e }));
+    subscriber.on('error', e => log.error("Redis subscriber error", { err: e }));
+
+    await Promise.all([client.connect(), subscriber.connect()]);
+
+    log.info("Rooms are shared with other instances via Redis", { prefix: conf.redisPrefix });
+
+    return new PubSubRoomBroker(client, subscriber, conf.redisPrefix);
+}
@@ -5,6 +5,10 @@ import path, {dirname} from "path";
 import http from "http";
 import multer from "multer";
 import PrinterService from "./printer-service.js";
+import Metrics from "./metrics.js";
+import getLogger from "./logger.js";
+
+const log = getLogger('server');
 
 export default class PairDropServer {
 
@@ -14,9 +18,21 @@ export default class PairDropServer {
         // Initialize printer service
         this._printerService = new PrinterService(conf);
 
+        // Metrics are collected regardless of whether the endpoint is enabled
+        this._metrics = new Metrics(conf);
+        this._metrics.observePrinterService(this._printerService);
+
+        // checks return true if passing, false if failing and null if disabled
+        this._readinessChecks = {
+            rtcConfig: () => conf.rtcConfigLoaded,
+            printerDiscovery: () => this._printerService.isEnabled()
+                ? this._printerService.isDiscoveryStarted()
+                : null
+        };
+
         // Setup multer for file uploads (in-memory storage)
         const storage = multer.memoryStorage();
-        const maxFileSize = parseInt(process.env.PRINT_MAX_FILE_SIZE) || (100 * 1024 * 1024); // Default 100MB
+        const maxFileSize = conf.printer.maxFileSize;
         const upload = multer({
             storage: storage,
             limits: {
@@ -24,6 +40,38 @@ export default class PairDropServer {
             }
         });
 
+        // Probes for orchestrators are registered first so that they are neither rate limited nor redirected
+        app.get('/healthz', (req, res) => {
+            res.json({ status: 'ok' });
+        });
+
+        app.get('/readyz', (req, res) => {
+            const checks = {};
+            let ready = true;
+
+            for (const name in this._readinessChecks) {
+                let result;
+                try {
+                    result = this._readinessChecks[name]();
+                } catch (e) {
+                    result = false;
+                }
+
+                if (result === null) {
+                    checks[name] = { status: 'disabled' };
+                    continue;
+                }
+
+                checks[name] = { status: result ? 'ok' : 'failing' };
+                ready = ready && !!result;
+            }
+
+            res.status(ready ? 200 : 503).json({
+                status: ready ? 'ready' : 'not-ready',
+                checks: checks
+            });
+        });
+
         if (conf.rateLimit) {
             const limiter = RateLimit({
                 windowMs: 5 * 60 * 1000, // 5 minutes
@@ -31,6 +79,10 @@ export default class PairDropServer {
                 message: 'Too many requests from this IP Address, please try again after 5 minutes.',
                 standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
                 legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+                handler: (req, res, next, options) => {
+                    this._metrics.rateLimitHits.inc({source: 'http'});
+                    res.status(options.statusCode).send(options.message);
+                }
             })
 
             app.use(limiter);
@@ -40,7 +92,7 @@ export default class PairDropServer {
             app.set('trust proxy', conf.rateLimit);
 
             if (!conf.debugMode) {
-                console.log("Use DEBUG_MODE=true to find correct number for RATE_LIMIT.");
+                log.info("Use DEBUG_MODE=true to find correct number for RATE_LIMIT.");
             }
         }
 
@@ -54,10 +106,9 @@ export default class PairDropServer {
         app.use(express.json());
 
         if (conf.debugMode && conf.rateLimit) {
-            console.debug("\n");
-            console.debug("----DEBUG RATE_LIMIT----")
-            console.debug("To find out the correct value for RATE_LIMIT go to '/ip' and ensure the returned IP-address is the IP-address of your client.")
-            console.debug("See https://github.com/express-rate-limit/express-rate-limit#troubleshooting-proxy-issues for more info")
+            log.debug("To find out the correct value for RATE_LIMIT go to '/ip' and ensure the returned IP-address is the IP-address of your client.", {
+                help: "https://github.com/express-rate-limit/express-rate-limit#troubleshooting-proxy-issues"
+            });
             app.get('/ip', (req, res) => {
                 res.send(req.ip);
             })
@@ -72,6 +123,25 @@ export default class PairDropServer {
             });
         });
 
+        if (this._metrics.isEnabled()) {
+            app.get('/metrics', async (req, res) => {
+                if (!this._metrics.isAuthorized(req)) {
+                    return res.status(401).set('WWW-Authenticate', 'Bearer').send('Unauthorized');
+                }
+
+                let metrics;
+                try {
+                    metrics = await this._metrics.render();
+                } catch (e) {
+                    log.error("Collecting metrics failed", { err: e });
+                    return res.status(500).send('Collecting metrics failed');
+                }
+
+                res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+                res.send(metrics);
+            });
+        }
+
         // Printer API endpoints
         app.get('/api/printers', (req, res) => {
             if (!this._printerService.isEnabled()) {
@@ -99,7 +169,12 @@ export default class PairDropServer {
                     return res.status(404).json({ error: 'Printer not found' });
                 }
 
-                console.log('Print job:', file.originalname, '->', printer.name);
+                log.info("Print job received via HTTP", {
+                    printerId: printerId,
+                    fileName: file.originalname,
+                    fileSize: file.size,
+                    mimeType: file.mimetype
+                });
 
                 // Parse print options
                 const options = {
@@ -118,7 +193,6 @@ export default class PairDropServer {
 
                 res.json(result);
             } catch (error) {
-                console.error('Print job error:', error);
                 res.status(500).json({ error: error.message });
             }
         });
@@ -129,7 +203,7 @@ export default class PairDropServer {
 
         app.get('/', (req, res) => {
             res.sendFile('index.html');
-            console.log(`Serving client files from:\n${publicPathAbs}`)
+            log.info("Serving client files", { path: publicPathAbs });
         });
 
         const hostname = conf.localhostOnly ? '127.0.0.1' : null;
@@ -139,13 +213,17 @@ export default class PairDropServer {
 
         server.on('error', (err) => {
             if (err.code === 'EADDRINUSE') {
-                console.error(err);
-                console.info("Error EADDRINUSE received, exiting process without restarting process...");
+                log.error("Error EADDRINUSE received, exiting process without restarting process...", { port: conf.port, err: err });
                 process.exit(1)
             }
         });
 
         this.server = server;
         this.printerService = this._printerService;
+        this.metrics = this._metrics;
+    }
+
+    addReadinessCheck(name, check) {
+        this._readinessChecks[name] = check;
     }
 }
\ No newline at end of file
@@ -3,18 +3,35 @@ import crypto from "crypto"
 
 import Peer from "./peer.js";
 import { hasher, randomizer } from "./helper.js";
+import getLogger from "./logger.js";
+
+const log = getLogger('ws-server');
 
 export default class PairDropWsServer {
 
-    constructor(server, conf, printerService) {
+    constructor(server, conf, printerService, roomBroker, metrics) {
         this._conf = conf
 
-        this._rooms = {}; // { roomId: peers[] }
+        this._peers = {}; // { peerId: peer } of peers connected to this instance
+
+        // rooms and pair keys are held by the broker which may share them with other instances
+        this._roomBroker = roomBroker;
+        this._roomBroker.onPeerMessage((peerId, message) => this._onBrokerMessage(peerId, message));
 
-        this._roomSecrets = {}; // { pairKey: roomSecret }
         this._keepAliveTimers = {};
 
+        this._metrics = metrics;
+        this._metrics.connectedPeers.onCollect(metric => metric.set({}, Object.keys(this._peers).length));
+        this._metrics.rooms.onCollect(async metric => {
+            const counts = await this._roomBroker.countRooms();
+            ['ip', 'secret', 'public-id'].forEach(type => metric.set({type: type}, counts[type] || 0));
+        });
+
+        this._server = server;
+        this._wssClosed = false;
+
         this._wss = new WebSocketServer({ server });
+        this._wss.on('close', () => this._wssClosed = true);
         this._wss.on('connection', (socket, request) => this._onConnection(new Peer(socket, request, conf)));
 
         // Use provided printer service
@@ -22,10 +39,36 @@ export default class PairDropWsServer {
         this._setupPrinterEvents();
     }
 
+    isAcceptingConnections() {
+        return this._server.listening && !this._wssClosed;
+    }
+
     _onConnection(peer) {
-        peer.socket.on('message', message => this._onMessage(peer, message));
-        peer.socket.onerror = e => console.error(e);
+        // a peer that reconnects with the same id (e.g. after a network change) replaces its previous connection
+        const previousPeer = this._peers[peer.id];
+        this._peers[peer.id] = peer;
+
+        // handle messages one after another as the broker is accessed asynchronously
+        let queue = this._roomBroker.addLocalPeer(peer.id);
+        if (previousPeer) {
+            queue = queue
+                .then(_ => this._onReconnect(previousPeer, peer))
+                .catch(e => log.error("Cleaning up previous connection failed", { peerIdHash: peer.idHash, err: e }));
+        }
+        peer.socket.on('message', message => {
+            // messages of a connection that was replaced by a newer one are ignored
+            if (this._peers[peer.id] !== peer) return;
 
+            queue = queue
+                .then(_ => this._onMessage(peer, message))
+                .catch(e => log.error("Handling message failed", { peerIdHash: peer.idHash, err: e }));
+        });
+        peer.socket.onerror = e => log.error("Websocket error", { peerIdHash: peer.idHash, err: e });
+
+        log.debug("Peer connected", { peerIdHash: peer.idHash, ip: peer.ip, rtcSupported: peer.rtcSupported });
+
+        // the keep-alive timer of the previous connection is taken over
+        this._setKeepAliveTimerToNow(peer);
         this._keepAlive(peer);
 
         this._send(peer, {
@@ -95,124 +138,197 @@ export default class PairDropWsServer {
     }
 
     _broadcastToAll(message) {
-        for (const roomId in this._rooms) {
-            for (const peerId in this._rooms[roomId]) {
-                const peer = this._rooms[roomId][peerId];
-                this._send(peer, message);
-            }
+        // other instances broadcast to their own peers
+        for (const peerId in this._peers) {
+            this._send(this._peers[peerId], message);
         }
     }
 
-    _onMessage(sender, message) {
+    async _onMessage(sender, message) {
         // Try to parse message
         try {
             message = JSON.parse(message);
         } catch (e) {
-            console.warn("WS: Received JSON is malformed");
+            log.warn("Received JSON is malformed", { peerIdHash: sender.idHash });
             return;
         }
 
         switch (message.type) {
             case 'disconnect':
-                this._onDisconnect(sender);
+                await this._onDisconnect(sender);
                 break;
             case 'pong':
                 this._setKeepAliveTimerToNow(sender);
                 break;
             case 'join-ip-room':
-                this._joinIpRoom(sender);
+                await this._joinIpRoom(sender);
                 break;
             case 'room-secrets':
-                this._onRoomSecrets(sender, message);
+                await this._onRoomSecrets(sender, message);
                 break;
             case 'room-secrets-deleted':
-                this._onRoomSecretsDeleted(sender, message);
+                await this._onRoomSecretsDeleted(sender, message);
                 break;
             case 'pair-device-initiate':
-                this._onPairDeviceInitiate(sender);
+                await this._onPairDeviceInitiate(sender);
                 break;
             case 'pair-device-join':
-                this._onPairDeviceJoin(sender, message);
+                await this._onPairDeviceJoin(sender, message);
                 break;
             case 'pair-device-cancel':
-                this._onPairDeviceCancel(sender);
+                await this._onPairDeviceCancel(sender);
                 break;
             case 'regenerate-room-secret':
-                this._onRegenerateRoomSecret(sender, message);
+                await this._onRegenerateRoomSecret(sender, message);
                 break;
             case 'create-public-room':
-                this._onCreatePublicRoom(sender);
+                await this._onCreatePublicRoom(sender);
                 break;
             case 'join-public-room':
-                this._onJoinPublicRoom(sender, message);
+                await this._onJoinPublicRoom(sender, message);
                 break;
             case 'leave-public-room':
-                this._onLeavePublicRoom(sender);
+                await this._onLeavePublicRoom(sender);
                 break;
             case 'print-job':
                 this._onPrintJob(sender, message);
                 break;
             case 'signal':
-                this._signalAndRelay(sender, message);
+                await this._signalAndRelay(sender, message);
                 break;
+            case 'hello':
             case 'request':
             case 'header':
             case 'partition':
             case 'partition-received':
+            case 'file-end':
             case 'progress':
             case 'files-transfer-response':
+            case 'files-transfer-queued':
             case 'file-transfer-complete':
             case 'message-transfer-complete':
             case 'text':
             case 'display-name-changed':
+            case 'transfer-resume':
+            case 'transfer-resume-response':
+            case 'transfer-cancel':
             case 'ws-chunk':
+            case 'ws-encrypted':
                 // relay ws-fallback
                 if (this._conf.wsFallback) {
-                    this._signalAndRelay(sender, message);
+                    const relayed = await this._signalAndRelay(sender, message);
+
+                    if (relayed) {
+                        this._countRelayedBytes(message);
+                    }
                 }
                 else {
-                    console.log("Websocket fallback is not activated on this instance.")
+                    log.debug("Websocket fallback is not activated on this instance.", { peerIdHash: sender.idHash, type: message.type });
                 }
         }
     }
 
-    _signalAndRelay(sender, message) {
+    _countRelayedBytes(message) {
+        if (message.type === 'ws-chunk' && typeof message.chunk === 'string') {
+            this._metrics.wsRelayedBytes.inc({}, Buffer.byteLength(message.chunk, 'base64'));
+        }
+        else if (message.type === 'ws-encrypted' && message.binary && typeof message.data === 'string') {
+            // encrypted file chunks carry a 16 byte AES-GCM authentication tag
+            const bytes = Buffer.byteLength(message.data, 'base64') - 16;
+            this._metrics.wsRelayedBytes.inc({}, Math.max(bytes, 0));
+        }
+    }
+
+    async _signalAndRelay(sender, message) {
         const room = message.roomType === 'ip'
             ? sender.ip
             : message.roomId;
 
-        // relay message to recipient
-        if (message.to && Peer.isValidUuid(message.to) && this._rooms[room]) {
-            const recipient = this._rooms[room][message.to];
+        // relay message to recipient which might be connected to another instance
+        if (message.to && Peer.isValidUuid(message.to) && await this._roomBroker.isInRoom(room, message.to)) {
+            const recipientId = message.to;
             delete message.to;
             // add sender
             message.sender = {
                 id: sender.id,
                 rtcSupported: sender.rtcSupported
             };
-            this._send(recipient, message);
+            await this._sendToPeer(recipientId, message);
+            return true;
+        }
+        return false;
+    }
+
+    _onBrokerMessage(peerId, message) {
+        const peer = this._peers[peerId];
+        if (!peer) return;
+
+        // keep the local peer in sync with changes made on behalf of other peers
+        switch (message.type) {
+            case 'secret-room-deleted':
+                peer.removeRoomSecret(message.roomSecret);
+                break;
+            case 'room-secret-regenerated':
+                peer.removeRoomSecret(message.oldRoomSecret);
+                break;
+            case 'pair-device-joined':
+                // pair key of the creator was used
+                peer.pairKey = null;
+                break;
         }
+
+        this._send(peer, message);
     }
 
-    _onDisconnect(sender) {
-        this._disconnect(sender);
+    async _onDisconnect(sender) {
+        await this._disconnect(sender);
     }
 
-    _disconnect(sender) {
-        this._removePairKey(sender.pairKey);
-        sender.pairKey = null;
+    async _onReconnect(previousPeer, peer) {
+        // the previous connection does not send 'disconnect' and its keep-alive timer was taken over
+        previousPeer.socket.terminate();
 
-        this._cancelKeepAlive(sender);
-        delete this._keepAliveTimers[sender.id];
+        // a pending pair key stays valid as messages are delivered by peer id
+        if (!peer.pairKey) peer.pairKey = previousPeer.pairKey;
+        previousPeer.pairKey = null;
 
-        this._leaveIpRoom(sender, true);
-        this._leaveAllSecretRooms(sender, true);
-        this._leavePublicRoom(sender, true);
+        // The new connection joins its rooms again. Rooms it does not rejoin (e.g. the ip room of the previous network)
+        // must not list the peer anymore. Other peers keep their connections to the peer.
+        await this._leaveIpRoom(previousPeer);
+        await this._leaveAllSecretRooms(previousPeer);
+        await this._leavePublicRoom(previousPeer);
 
-        sender.socket.terminate();
+        log.debug("Peer reconnected", { peerIdHash: peer.idHash });
     }
 
-    _onRoomSecrets(sender, message) {
+    async _disconnect(sender) {
+        // the keep-alive timer belongs to the new connection if the peer reconnected in the meantime
+        if (this._peers[sender.id] === sender) {
+            this._cancelKeepAlive(sender);
+            delete this._keepAliveTimers[sender.id];
+        }
+
+        try {
+            await this._removePairKey(sender.pairKey);
+            sender.pairKey = null;
+
+            await this._leaveIpRoom(sender, true);
+            await this._leaveAllSecretRooms(sender, true);
+            await this._leavePublicRoom(sender, true);
+
+            // the peer might have reconnected with the same id in the meantime
+            if (this._peers[sender.id] === sender) {
+                delete this._peers[sender.id];
+                await this._roomBroker.removeLocalPeer(sender.id);
+            }
+        }
+        finally {
+            sender.socket.terminate();
+            log.debug("Peer disconnected", { peerIdHash: sender.idHash });
+        }
+    }
+
+    async _onRoomSecrets(sender, message) {
         if (!message.roomSecrets) return;
 
         const roomSecrets = message.roomSecrets.filter(roomSecret => {
@@ -221,37 +337,37 @@ export default class PairDropWsServer {
 
         if (!roomSecrets) return;
 
-        this._joinSecretRooms(sender, roomSecrets);
+        await this._joinSecretRooms(sender, roomSecrets);
     }
 
-    _onRoomSecretsDeleted(sender, message) {
+    async _onRoomSecretsDeleted(sender, message) {
         for (let i = 0; i < message.roomSecrets.length; i++) {
-            this._deleteSecretRoom(message.roomSecrets[i]);
+            await this._deleteSecretRoom(message.roomSecrets[i]);
         }
     }
 
-    _deleteSecretRoom(roomSecret) {
-        const room = this._rooms[roomSecret];
-        if (!room) return;
+    async _deleteSecretRoom(roomSecret) {
+        const peers = await this._roomBroker.getRoomPeers(roomSecret);
 
-        for (const peerId in room) {
-            const peer = room[peerId];
+        for (let i = 0; i < peers.length; i++) {
+            await this._leaveRoom(peers[i].id, 'secret', roomSecret, true);
 
-            this._leaveSecretRoom(peer, roomSecret, true);
-
-            this._send(peer, {
+            // the secret is removed from the peer on delivery
+            await this._sendToPeer(peers[i].id, {
                 type: 'secret-room-deleted',
                 roomSecret: roomSecret,
             });
         }
     }
 
-    _onPairDeviceInitiate(sender) {
+    async _onPairDeviceInitiate(sender) {
         let roomSecret = randomizer.getRandomString(256);
-        let pairKey = this._createPairKey(sender, roomSecret);
+        let pairKey = await this._createPairKey(sender, roomSecret);
+        this._metrics.pairDeviceInitiations.inc();
+        log.info("Pair device initiated", { peerIdHash: sender.idHash });
 
         if (sender.pairKey) {
-            this._removePairKey(sender.pairKey);
+            await this._removePairKey(sender.pairKey);
         }
         sender.pairKey = pairKey;
 
@@ -260,50 +376,57 @@ export default class PairDropWsServer {
             roomSecret: roomSecret,
             pairKey: pairKey
         });
-        this._joinSecretRoom(sender, roomSecret);
+        await this._joinSecretRoom(sender, roomSecret);
     }
 
-    _onPairDeviceJoin(sender, message) {
+    async _onPairDeviceJoin(sender, message) {
         if (sender.rateLimitReached()) {
+            this._metrics.rateLimitHits.inc({source: 'websocket'});
+            log.warn("Rate limit reached", { peerIdHash: sender.idHash, type: message.type });
             this._send(sender, { type: 'join-key-rate-limit' });
             return;
         }
 
-        if (!this._roomSecrets[message.pairKey] || sender.id === this._roomSecrets[message.pairKey].creator.id) {
+        const pairing = await this._roomBroker.getPairKey(message.pairKey);
+
+        // only the peer that removes the pair key may use it
+        if (!pairing || sender.id === pairing.creatorId || !await this._removePairKey(message.pairKey)) {
             this._send(sender, { type: 'pair-device-join-key-invalid' });
             return;
         }
 
-        const roomSecret = this._roomSecrets[message.pairKey].roomSecret;
-        const creator = this._roomSecrets[message.pairKey].creator;
-        this._removePairKey(message.pairKey);
+        this._metrics.pairDeviceJoins.inc();
+        log.info("Pair device joined", { peerIdHash: sender.idHash });
+
         this._send(sender, {
             type: 'pair-device-joined',
-            roomSecret: roomSecret,
-            peerId: creator.id
+            roomSecret: pairing.roomSecret,
+            peerId: pairing.creatorId
         });
-        this._send(creator, {
+        await this._sendToPeer(pairing.creatorId, {
             type: 'pair-device-joined',
-            roomSecret: roomSecret,
+            roomSecret: pairing.roomSecret,
             peerId: sender.id
         });
-        this._joinSecretRoom(sender, roomSecret);
-        this._removePairKey(sender.pairKey);
+        await this._joinSecretRoom(sender, pairing.roomSecret);
+        await this._removePairKey(sender.pairKey);
+        sender.pairKey = null;
     }
 
-    _onPairDeviceCancel(sender) {
+    async _onPairDeviceCancel(sender) {
         const pairKey = sender.pairKey
 
         if (!pairKey) return;
 
-        this._removePairKey(pairKey);
+        await this._removePairKey(pairKey);
+        sender.pairKey = null;
         this._send(sender, {
             type: 'pair-device-canceled',
             pairKey: pairKey,
         });
     }
 
-    _onCreatePublicRoom(sender) {
+    async _onCreatePublicRoom(sender) {
         let publicRoomId = randomizer.getRandomString(5, true).toLowerCase();
 
         this._send(sender, {
@@ -311,44 +434,45 @@ export default class PairDropWsServer {
             roomId: publicRoomId
         });
 
-        this._joinPublicRoom(sender, publicRoomId);
+        await this._joinPublicRoom(sender, publicRoomId);
     }
 
-    _onJoinPublicRoom(sender, message) {
+    async _onJoinPublicRoom(sender, message) {
         if (sender.rateLimitReached()) {
+            this._metrics.rateLimitHits.inc({source: 'websocket'});
+            log.warn("Rate limit reached", { peerIdHash: sender.idHash, type: message.type });
             this._send(sender, { type: 'join-key-rate-limit' });
             return;
         }
 
-        if (!this._rooms[message.publicRoomId] && !message.createIfInvalid) {
+        if (!await this._roomBroker.roomExists(message.publicRoomId) && !message.createIfInvalid) {
             this._send(sender, { type: 'public-room-id-invalid', publicRoomId: message.publicRoomId });
             return;
         }
 
-        this._leavePublicRoom(sender);
-        this._joinPublicRoom(sender, message.publicRoomId);
+        await this._leavePublicRoom(sender);
+        await this._joinPublicRoom(sender, message.publicRoomId);
     }
 
-    _onLeavePublicRoom(sender) {
-        this._leavePublicRoom(sender, true);
+    async _onLeavePublicRoom(sender) {
+        await this._leavePublicRoom(sender, true);
         this._send(sender, { type: 'public-room-left' });
     }
 
-    _onRegenerateRoomSecret(sender, message) {
+    async _onRegenerateRoomSecret(sender, message) {
         const oldRoomSecret = message.roomSecret;
         const newRoomSecret = randomizer.getRandomString(256);
 
-        // notify all other peers
-        for (const peerId in this._rooms[oldRoomSecret]) {
-            const peer = this._rooms[oldRoomSecret][peerId];
-            this._send(peer, {
+        // notify all other peers, the old secret is removed from the peers on delivery
+        const peers = await this._roomBroker.getRoomPeers(oldRoomSecret);
+        for (let i = 0; i < peers.length; i++) {
+            await this._sendToPeer(peers[i].id, {
                 type: 'room-secret-regenerated',
                 oldRoomSecret: oldRoomSecret,
                 newRoomSecret: newRoomSecret,
             });
-            peer.removeRoomSecret(oldRoomSecret);
         }
-        delete this._rooms[oldRoomSecret];
+        await this._roomBroker.deleteRoom(oldRoomSecret);
     }
 
     async _onPrintJob(sender, message) {
@@ -358,7 +482,12 @@ export default class PairDropWsServer {
             // Buffer comes as a JSON object {type: 'Buffer', data: [...]}, need to convert
             const fileBuffer = Buffer.from(message.data);
 
-            console.log(`Received print job from ${sender.id}: ${message.fileName} (${message.fileSize} bytes)`);
+            log.info("Print job received via websocket", {
+                peerIdHash: sender.idHash,
+                printerId: message.printerId,
+                fileName: message.fileName,
+                fileSize: message.fileSize
+            });
 
             const result = await this._printerService.submitPrintJob(
                 message.printerId,
@@ -370,6 +499,8 @@ export default class PairDropWsServer {
                 }
             );
 
+            log.info("Print job submitted", { peerIdHash: sender.idHash, printerId: message.printerId, jobId: result.jobId });
+
             this._send(sender, {
                 type: 'print-job-success',
                 jobId: result.jobId,
@@ -377,7 +508,6 @@ export default class PairDropWsServer {
             });
 
         } catch (err) {
-            console.error('Print job error:', err);
             this._send(sender, {
                 type: 'print-job-error',
                 error: err.message
@@ -385,64 +515,55 @@ export default class PairDropWsServer {
         }
     }
 
-    _createPairKey(creator, roomSecret) {
+    async _createPairKey(creator, roomSecret) {
         let pairKey;
         do {
             // get randomInt until keyRoom not occupied
             pairKey = crypto.randomInt(1000000, 1999999).toString().substring(1); // include numbers with leading 0s
-        } while (pairKey in this._roomSecrets)
-
-        this._roomSecrets[pairKey] = {
-            roomSecret: roomSecret,
-            creator: creator
-        }
+        } while (!await this._roomBroker.addPairKey(pairKey, { roomSecret: roomSecret, creatorId: creator.id }))
 
         return pairKey;
     }
 
-    _removePairKey(pairKey) {
-        if (pairKey in this._roomSecrets) {
-            this._roomSecrets[pairKey].creator.pairKey = null
-            delete this._roomSecrets[pairKey];
-        }
+    async _removePairKey(pairKey) {
+        if (!pairKey) return false;
+
+        return await this._roomBroker.removePairKey(pairKey);
     }
 
-    _joinIpRoom(peer) {
-        this._joinRoom(peer, 'ip', peer.ip);
+    async _joinIpRoom(peer) {
+        await this._joinRoom(peer, 'ip', peer.ip);
     }
 
-    _joinSecretRoom(peer, roomSecret) {
-        this._joinRoom(peer, 'secret', roomSecret);
+    async _joinSecretRoom(peer, roomSecret) {
+        await this._joinRoom(peer, 'secret', roomSecret);
 
         // add secret to peer
         peer.addRoomSecret(roomSecret);
     }
 
-    _joinPublicRoom(peer, publicRoomId) {
+    async _joinPublicRoom(peer, publicRoomId) {
         // prevent joining of 2 public rooms simultaneously
-        this._leavePublicRoom(peer);
+        await this._leavePublicRoom(peer);
 
-        this._joinRoom(peer, 'public-id', publicRoomId);
+        await this._joinRoom(peer, 'public-id', publicRoomId);
 
         peer.publicRoomId = publicRoomId;
     }
 
-    _joinRoom(peer, roomType, roomId) {
+    async _joinRoom(peer, roomType, roomId) {
         // roomType: 'ip', 'secret' or 'public-id'
-        if (this._rooms[roomId] && this._rooms[roomId][peer.id]) {
+        if (await this._roomBroker.isInRoom(roomId, peer.id)) {
             // ensures that otherPeers never receive `peer-left` after `peer-joined` on reconnect.
-            this._leaveRoom(peer, roomType, roomId);
+            await this._leaveRoom(peer.id, roomType, roomId);
         }
 
-        // if room doesn't exist, create it
-        if (!this._rooms[roomId]) {
-            this._rooms[roomId] = {};
-        }
+        // add peer to room before notifying so that peers joining simultaneously on other instances see each other
+        await this._roomBroker.joinRoom(roomId, peer.getInfo(), roomType);
 
-        this._notifyPeers(peer, roomType, roomId);
+        const otherPeers = await this._notifyPeers(peer, roomType, roomId);
 
-        // add peer to room
-        this._rooms[roomId][peer.id] = peer;
+        log.debug("Peer joined room", { peerIdHash: peer.idHash, roomType: roomType, otherPeers: otherPeers.length });
 
         // Send current printer list so client sees printers even if it missed printer-joined (e.g. connected before joining a room)
         if (this._printerService.isEnabled()) {
@@ -451,61 +572,51 @@ export default class PairDropWsServer {
     }
 
 
-    _leaveIpRoom(peer, disconnect = false) {
-        this._leaveRoom(peer, 'ip', peer.ip, disconnect);
+    async _leaveIpRoom(peer, disconnect = false) {
+        await this._leaveRoom(peer.id, 'ip', peer.ip, disconnect);
     }
 
-    _leaveSecretRoom(peer, roomSecret, disconnect = false) {
-        this._leaveRoom(peer, 'secret', roomSecret, disconnect)
+    async _leaveSecretRoom(peer, roomSecret, disconnect = false) {
+        await this._leaveRoom(peer.id, 'secret', roomSecret, disconnect)
 
         //remove secret from peer
         peer.removeRoomSecret(roomSecret);
     }
 
-    _leavePublicRoom(peer, disconnect = false) {
+    async _leavePublicRoom(peer, disconnect = false) {
         if (!peer.publicRoomId) return;
 
-        this._leaveRoom(peer, 'public-id', peer.publicRoomId, disconnect);
+        await this._leaveRoom(peer.id, 'public-id', peer.publicRoomId, disconnect);
 
         peer.publicRoomId = null;
     }
 
-    _leaveRoom(peer, roomType, roomId, disconnect = false) {
-        if (!this._rooms[roomId] || !this._rooms[roomId][peer.id]) return;
-
-        // remove peer from room
-        delete this._rooms[roomId][peer.id];
-
-        // delete room if empty and abort
-        if (!Object.keys(this._rooms[roomId]).length) {
-            delete this._rooms[roomId];
-            return;
-        }
+    async _leaveRoom(peerId, roomType, roomId, disconnect = false) {
+        // remove peer from room, the broker deletes the room if empty
+        if (!await this._roomBroker.leaveRoom(roomId, peerId)) return;
 
         // notify all other peers that remain in room that peer left
-        for (const otherPeerId in this._rooms[roomId]) {
-            const otherPeer = this._rooms[roomId][otherPeerId];
+        const otherPeers = await this._roomBroker.getRoomPeers(roomId);
 
+        for (let i = 0; i < otherPeers.length; i++) {
             let msg = {
                 type: 'peer-left',
-                peerId: peer.id,
+                peerId: peerId,
                 roomType: roomType,
                 roomId: roomId,
                 disconnect: disconnect
             };
 
-            this._send(otherPeer, msg);
+            await this._sendToPeer(otherPeers[i].id, msg);
         }
     }
 
-    _notifyPeers(peer, roomType, roomId) {
-        if (!this._rooms[roomId]) return;
+    async _notifyPeers(peer, roomType, roomId) {
+        const otherPeers = (await this._roomBroker.getRoomPeers(roomId))
+            .filter(otherPeer => otherPeer.id !== peer.id);
 
         // notify all other peers that peer joined
-        for (const otherPeerId in this._rooms[roomId]) {
-            if (otherPeerId === peer.id) continue;
-            const otherPeer = this._rooms[roomId][otherPeerId];
-
+        for (let i = 0; i < otherPeers.length; i++) {
             let msg = {
                 type: 'peer-joined',
                 peer: peer.getInfo(),
@@ -513,16 +624,10 @@ export default class PairDropWsServer {
                 roomId: roomId
             };
 
-            this._send(otherPeer, msg);
+            await this._sendToPeer(otherPeers[i].id, msg);
         }
 
         // notify peer about peers already in the room
-        const otherPeers = [];
-        for (const otherPeerId in this._rooms[roomId]) {
-            if (otherPeerId === peer.id) continue;
-            otherPeers.push(this._rooms[roomId][otherPeerId].getInfo());
-        }
-
         let msg = {
             type: 'peers',
             peers: otherPeers,
@@ -531,17 +636,19 @@ export default class PairDropWsServer {
         };
 
         this._send(peer, msg);
+
+        return otherPeers;
     }
 
-    _joinSecretRooms(peer, roomSecrets) {
+    async _joinSecretRooms(peer, roomSecrets) {
         for (let i = 0; i < roomSecrets.length; i++) {
-            this._joinSecretRoom(peer, roomSecrets[i])
+            await this._joinSecretRoom(peer, roomSecrets[i])
         }
     }
 
-    _leaveAllSecretRooms(peer, disconnect = false) {
+    async _leaveAllSecretRooms(peer, disconnect = false) {
         for (let i = 0; i < peer.roomSecrets.length; i++) {
-            this._leaveSecretRoom(peer, peer.roomSecrets[i], disconnect);
+            await this._leaveSecretRoom(peer, peer.roomSecrets[i], disconnect);
         }
     }
 
@@ -552,6 +659,11 @@ export default class PairDropWsServer {
         peer.socket.send(message);
     }
 
+    _sendToPeer(peerId, message) {
+        // the peer might be connected to another instance
+        return this._roomBroker.send(peerId, message);
+    }
+
     _keepAlive(peer) {
         this._cancelKeepAlive(peer);
         let timeout = 1000;
@@ -565,7 +677,7 @@ export default class PairDropWsServer {
 
         if (Date.now() - this._keepAliveTimers[peer.id].lastBeat > 5 * timeout) {
             // Disconnect peer if unresponsive for 10s
-            this._disconnect(peer);
+            this._disconnect(peer).catch(e => log.error("Disconnecting peer failed", { peerIdHash: peer.idHash, err: e }));
             return;
         }
 
@@ -0,0 +1,196 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+
+import { InMemoryRoomBroker, PubSubRoomBroker, MemoryPubSubBackend } from "../server/room-broker.js";
+import { configureLogger } from "../server/logger.js";
+
+configureLogger({ level: 'silent' });
+
+function createPubSubBroker(backend, ttl) {
+    return new PubSubRoomBroker(backend.duplicate(), backend.duplicate(), 'test', ttl);
+}
+
+function collectMessages(broker) {
+    const messages = [];
+    broker.onPeerMessage((peerId, message) => messages.push({ peerId, message }));
+    return messages;
+}
+
+describe('InMemoryRoomBroker', () => {
+    let broker;
+
+    beforeEach(() => {
+        broker = new InMemoryRoomBroker();
+    });
+
+    it('deletes rooms once their last peer left', async () => {
+        await broker.joinRoom('room', { id: 'a' });
+        await broker.joinRoom('room', { id: 'b' });
+
+        assert.equal(await broker.leaveRoom('room', 'a'), true);
+        assert.deepEqual(await broker.getRoomPeers('room'), [{ id: 'b' }]);
+
+        await broker.leaveRoom('room', 'b');
+        assert.equal(await broker.roomExists('room'), false);
+        assert.equal(await broker.leaveRoom('room', 'b'), false);
+    });
+
+    it('counts rooms by type', async () => {
+        await broker.joinRoom('192.0.2.1', { id: 'a' }, 'ip');
+        await broker.joinRoom('secret', { id: 'a' }, 'secret');
+        await broker.joinRoom('secret', { id: 'b' }, 'secret');
+        assert.deepEqual(await broker.countRooms(), { ip: 1, secret: 1 });
+
+        await broker.leaveRoom('192.0.2.1', 'a');
+        await broker.deleteRoom('secret');
+        assert.deepEqual(await broker.countRooms(), {});
+    });
+
+    it('only delivers messages to local peers', async () => {
+        const messages = collectMessages(broker);
+        await broker.addLocalPeer('a');
+
+        await broker.send('a', { type: 'ping' });
+        await broker.send('b', { type: 'ping' });
+
+        assert.deepEqual(messages, [{ peerId: 'a', message: { type: 'ping' } }]);
+    });
+});
+
+describe('PubSubRoomBroker', () => {
+    let backend;
+    let brokerA;
+    let brokerB;
+
+    beforeEach(async () => {
+        backend = new MemoryPubSubBackend();
+        brokerA = createPubSubBroker(backend);
+        brokerB = createPubSubBroker(backend);
+        await brokerA.addLocalPeer('a');
+        await brokerB.addLocalPeer('b');
+    });
+
+    afterEach(async () => {
+        await brokerA.close();
+        await brokerB.close();
+    });
+
+    it('shares rooms between instances', async () => {
+        await brokerA.joinRoom('room', { id: 'a' });
+        await brokerB.joinRoom('room', { id: 'b' });
+
+        const peerIds = peers => peers.map(peer => peer.id).sort();
+        assert.deepEqual(peerIds(await brokerA.getRoomPeers('room')), ['a', 'b']);
+        assert.deepEqual(peerIds(await brokerB.getRoomPeers('room')), ['a', 'b']);
+
+        await brokerB.leaveRoom('room', 'b');
+        assert.deepEqual(peerIds(await brokerA.getRoomPeers('room')), ['a']);
+    });
+
+    it('counts rooms of all instances', async () => {
+        await brokerA.joinRoom('room', { id: 'a' }, 'secret');
+        await brokerB.joinRoom('room', { id: 'b' }, 'secret');
+        await brokerB.joinRoom('192.0.2.1', { id: 'b' }, 'ip');
+        assert.deepEqual(await brokerA.countRooms(), { secret: 1, ip: 1 });
+
+        // the room is emptied by another instance than the one that created it
+        await brokerA.leaveRoom('room', 'a');
+        await brokerB.leaveRoom('room', 'b');
+        assert.deepEqual(await brokerA.countRooms(), { ip: 1 });
+        assert.deepEqual(await brokerB.countRooms(), { ip: 1 });
+    });
+
+    it('delivers messages to peers of other instances', async () => {
+        const messagesA = collectMessages(brokerA);
+        const messagesB = collectMessages(brokerB);
+
+        await brokerA.send('b', { type: 'signal', sender: { id: 'a' } });
+        await sleep(10);
+
+        assert.deepEqual(messagesA, []);
+        assert.deepEqual(messagesB, [{ peerId: 'b', message: { type: 'signal', sender: { id: 'a' } } }]);
+    });
+
+    it('stops delivering messages to removed peers', async () => {
+        const messagesB = collectMessages(brokerB);
+
+        await brokerB.removeLocalPeer('b');
+        await brokerA.send('b', { type: 'ping' });
+        await sleep(10);
+
+        assert.deepEqual(messagesB, []);
+    });
+
+    it('lets only one instance claim a pair key', async () => {
+        assert.equal(await brokerA.addPairKey('123456', { roomSecret: 'secret', creatorId: 'a' }), true);
+        assert.equal(await brokerB.addPairKey('123456', { roomSecret: 'other', creatorId: 'b' }), false);
+
+        assert.deepEqual(await brokerB.getPairKey('123456'), { roomSecret: 'secret', creatorId: 'a' });
+        assert.equal(await brokerB.removePairKey('123456'), true);
+        assert.equal(await brokerA.removePairKey('123456'), false);
+    });
+});
+
+describe('PubSubRoomBroker with a crashed instance', () => {
+    const ttl = 60;
+
+    let backend;
+    let brokerA;
+    let brokerB;
+
+    beforeEach(async () => {
+        backend = new MemoryPubSubBackend();
+        brokerA = createPubSubBroker(backend, ttl);
+        brokerB = createPubSubBroker(backend, ttl);
+        await brokerA.addLocalPeer('a');
+        await brokerB.addLocalPeer('b');
+    });
+
+    afterEach(async () => {
+        await brokerA.close();
+    });
+
+    // the connections of B are lost without B leaving its rooms
+    async function crashB() {
+        clearInterval(brokerB._heartbeatTimer);
+        await brokerB._client.quit();
+        await brokerB._subscriber.quit();
+    }
+
+    it('keeps the keys of running instances alive', async () => {
+        await brokerA.joinRoom('room', { id: 'a' });
+        await brokerB.joinRoom('room', { id: 'b' });
+        await brokerA.addPairKey('123456', { roomSecret: 'secret', creatorId: 'a' });
+
+        await sleep(ttl * 3);
+
+        assert.equal((await brokerA.getRoomPeers('room')).length, 2);
+        assert.notEqual(await brokerA.getPairKey('123456'), null);
+
+        await brokerB.close();
+    });
+
+    it('removes peers of the crashed instance from shared rooms', async () => {
+        await brokerA.joinRoom('room', { id: 'a' });
+        await brokerB.joinRoom('room', { id: 'b' });
+
+        await crashB();
+        await sleep(ttl * 2);
+
+        assert.deepEqual(await brokerA.getRoomPeers('room'), [{ id: 'a' }]);
+        assert.equal(await brokerA.isInRoom('room', 'b'), false);
+    });
+
+    it('expires rooms and pair keys of the crashed instance', async () => {
+        await brokerB.joinRoom('room', { id: 'b' });
+        await brokerB.addPairKey('123456', { roomSecret: 'secret', creatorId: 'b' });
+
+        await crashB();
+        await sleep(ttl * 2);
+
+        assert.equal(await brokerA.roomExists('room'), false);
+        assert.deepEqual(await brokerA.countRooms(), {});
+        assert.equal(await brokerA.getPairKey('123456'), null);
+    });
+});
@@ -0,0 +1,135 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { once } from "node:events";
+
+import WebSocket from "ws";
+
+import PairDropWsServer from "../server/ws-server.js";
+import Metrics from "../server/metrics.js";
+import { PubSubRoomBroker, MemoryPubSubBackend } from "../server/room-broker.js";
+import { configureLogger } from "../server/logger.js";
+
+configureLogger({ level: 'silent' });
+
+const conf = { rtcConfig: {}, wsFallback: false, joinRateLimit: 10, metrics: false };
+const printerService = { isEnabled: () => false, on() {} };
+
+async function startInstance(backend) {
+    const server = http.createServer();
+    const broker = new PubSubRoomBroker(backend.duplicate(), backend.duplicate(), 'test');
+    new PairDropWsServer(server, conf, printerService, broker, new Metrics(conf));
+
+    server.listen(0);
+    await once(server, 'listening');
+
+    return { server, broker };
+}
+
+class TestClient {
+
+    constructor(port, ip) {
+        this.messages = [];
+        this._waiting = [];
+
+        this.socket = new WebSocket(`ws://localhost:${port}/?webrtc_supported=true`, {
+            headers: { 'x-forwarded-for': ip }
+        });
+        this.socket.on('message', data => this._onMessage(JSON.parse(data)));
+    }
+
+    _onMessage(message) {
+        if (message.type === 'ping') {
+            this.send({ type: 'pong' });
+            return;
+        }
+
+        this.messages.push(message);
+        this._waiting = this._waiting.filter(({ type, resolve }) => {
+            if (message.type !== type) return true;
+            resolve(message);
+            return false;
+        });
+    }
+
+    send(message) {
+        this.socket.send(JSON.stringify(message));
+    }
+
+    // resolves with the first message of the given type that was not handled yet
+    receive(type) {
+        const i = this.messages.findIndex(message => message.type === type);
+        if (i !== -1) return Promise.resolve(this.messages.splice(i, 1)[0]);
+
+        return new Promise(resolve => this._waiting.push({ type, resolve: message => {
+            this.messages.splice(this.messages.indexOf(message), 1);
+            resolve(message);
+        }}));
+    }
+
+    async connect() {
+        this.id = (await this.receive('display-name')).peerId;
+        return this;
+    }
+
+    async disconnect() {
+        this.send({ type: 'disconnect' });
+        await once(this.socket, 'close');
+    }
+}
+
+describe('PairDropWsServer with a shared room broker', () => {
+    const ip = '192.0.2.1';
+
+    let instances;
+    let clientA;
+    let clientB;
+
+    before(async () => {
+        const backend = new MemoryPubSubBackend();
+        instances = [await startInstance(backend), await startInstance(backend)];
+
+        clientA = await new TestClient(instances[0].server.address().port, ip).connect();
+        clientB = await new TestClient(instances[1].server.address().port, ip).connect();
+
+        clientA.send({ type: 'join-ip-room' });
+        await clientA.receive('peers');
+    });
+
+    after(async () => {
+        await clientA.disconnect();
+        for (const { server, broker } of instances) {
+            server.closeAllConnections();
+            server.close();
+            await broker.close();
+        }
+    });
+
+    it('notifies peers of other instances about joined peers', async () => {
+        clientB.send({ type: 'join-ip-room' });
+
+        const peers = await clientB.receive('peers');
+        assert.deepEqual(peers.peers.map(peer => peer.id), [clientA.id]);
+
+        const peerJoined = await clientA.receive('peer-joined');
+        assert.equal(peerJoined.peer.id, clientB.id);
+        assert.equal(peerJoined.roomType, 'ip');
+    });
+
+    it('relays signals to peers of other instances', async () => {
+        clientA.send({ type: 'signal', to: clientB.id, roomType: 'ip', sdp: 'offer' });
+
+        const signal = await clientB.receive('signal');
+        assert.equal(signal.sdp, 'offer');
+        assert.equal(signal.sender.id, clientA.id);
+        assert.equal(signal.to, undefined);
+    });
+
+    it('notifies peers of other instances about left peers', async () => {
+        await clientB.disconnect();
+
+        const peerLeft = await clientA.receive('peer-left');
+        assert.equal(peerLeft.peerId, clientB.id);
+        assert.equal(peerLeft.disconnect, true);
+    });
+});